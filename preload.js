@@ -1,17 +1,32 @@
 const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('ptz', {
-  connect:          (ip, auth) => ipcRenderer.invoke('camera:connect', ip, auth),
+  connect:          (ip, auth, driver) => ipcRenderer.invoke('camera:connect', ip, auth, driver),
   getSettings:      (ip, auth) => ipcRenderer.invoke('camera:getSettings', ip, auth),
   setImageParam:    (ip, p, auth) => ipcRenderer.invoke('camera:setImageParam', ip, p, auth),
   setExposureParam: (ip, p, auth) => ipcRenderer.invoke('camera:setExposureParam', ip, p, auth),
   setFocusParam:    (ip, p, auth) => ipcRenderer.invoke('camera:setFocusParam', ip, p, auth),
   ptz:              (ip, cmd, s1, s2, auth) => ipcRenderer.invoke('camera:ptz', ip, cmd, s1, s2, auth),
   zoom:             (ip, dir, spd, auth) => ipcRenderer.invoke('camera:zoom', ip, dir, spd, auth),
-  focus:            (ip, cmd, auth) => ipcRenderer.invoke('camera:focus', ip, cmd, auth),
+  focus:            (ip, cmd, spd, auth) => ipcRenderer.invoke('camera:focus', ip, cmd, spd, auth),
+  zoomTo:           (ip, pos, spd, auth) => ipcRenderer.invoke('camera:zoomTo', ip, pos, spd, auth),
+  setPresetSpeed:   (ip, spd, port) => ipcRenderer.invoke('camera:setPresetSpeed', ip, spd, port),
   snapshot:         (ip, auth) => ipcRenderer.invoke('camera:snapshot', ip, auth),
-  syncAll:          (ip, img, exp, foc, auth) => ipcRenderer.invoke('camera:syncAll', ip, img, exp, foc, auth),
+  startFeed:        (camId, ip, auth) => ipcRenderer.invoke('feed:start', camId, ip, auth),
+  stopFeed:         (camId) => ipcRenderer.invoke('feed:stop', camId),
+  chooseRecFolder:  () => ipcRenderer.invoke('rec:chooseFolder'),
+  openRecording:    (folder, name) => ipcRenderer.invoke('rec:open', folder, name),
+  writeRecording:   (id, chunk) => ipcRenderer.invoke('rec:write', id, chunk),
+  closeRecording:   (id, log) => ipcRenderer.invoke('rec:close', id, log),
+  openTelemetry:    (folder, name, session) => ipcRenderer.invoke('telemetry:open', folder, name, session),
+  writeTelemetry:   (id, record, frame) => ipcRenderer.invoke('telemetry:write', id, record, frame),
+  closeTelemetry:   (id, summary) => ipcRenderer.invoke('telemetry:close', id, summary),
+  loadTelemetry:    (dir) => ipcRenderer.invoke('telemetry:load', dir),
+  telemetryFrame:   (dir, name) => ipcRenderer.invoke('telemetry:frame', dir, name),
+  saveReplayReport: (dir, report) => ipcRenderer.invoke('telemetry:report', dir, report),
+  syncAll:          (ip, params, auth) => ipcRenderer.invoke('camera:syncAll', ip, params, auth),
   setAutoTracking:  (ip, enabled, auth) => ipcRenderer.invoke('camera:setAutoTracking', ip, enabled, auth),
+  setFocusLock:     (ip, lock, auth) => ipcRenderer.invoke('camera:setFocusLock', ip, lock, auth),
   saveSnapshot:     (ip, auth) => ipcRenderer.invoke('camera:saveSnapshot', ip, auth),
   getVideoConfig:   (ip, auth) => ipcRenderer.invoke('camera:getVideoConfig', ip, auth),
   setVideoParam:    (ip, p, auth) => ipcRenderer.invoke('camera:setVideoParam', ip, p, auth),
@@ -23,5 +38,52 @@ contextBridge.exposeInMainWorld('ptz', {
   setIRChannel:     (ip, ch, auth) => ipcRenderer.invoke('camera:setIRChannel', ip, ch, auth),
   reboot:           (ip, auth) => ipcRenderer.invoke('camera:reboot', ip, auth),
   visca:            (ip, cmd, port) => ipcRenderer.invoke('camera:visca', ip, cmd, port),
-  discover:         () => ipcRenderer.invoke('camera:discover')
+  viscaCmd:         (ip, name, args, port) => ipcRenderer.invoke('visca:command', ip, name, args, port),
+  viscaPosition:    (ip, port) => ipcRenderer.invoke('visca:position', ip, port),
+  discover:         (opts) => ipcRenderer.invoke('camera:discover', opts),
+  onDiscovery:      (handler) => ipcRenderer.on('discover:progress', (_, p) => handler(p)),
+  addSimCamera:     (port) => ipcRenderer.invoke('sim:addCamera', port),
+  credStatus:       () => ipcRenderer.invoke('creds:status'),
+  unlockCreds:      (passphrase) => ipcRenderer.invoke('creds:unlock', passphrase),
+  listCreds:        () => ipcRenderer.invoke('creds:list'),
+  saveCreds:        (ref, user, pass) => ipcRenderer.invoke('creds:save', ref, user, pass),
+  deleteCreds:      (ref) => ipcRenderer.invoke('creds:delete', ref),
+  listLooks:        () => ipcRenderer.invoke('looks:list'),
+  saveLook:         (look) => ipcRenderer.invoke('looks:save', look),
+  deleteLook:       (id) => ipcRenderer.invoke('looks:delete', id),
+  listMacros:       () => ipcRenderer.invoke('macros:list'),
+  saveMacro:        (macro) => ipcRenderer.invoke('macros:save', macro),
+  deleteMacro:      (id) => ipcRenderer.invoke('macros:delete', id),
+  listShotProfiles: () => ipcRenderer.invoke('shotProfiles:list'),
+  saveShotProfile:  (profile) => ipcRenderer.invoke('shotProfiles:save', profile),
+  deleteShotProfile: (id) => ipcRenderer.invoke('shotProfiles:delete', id),
+  listSchedules:    () => ipcRenderer.invoke('schedules:list'),
+  saveSchedule:     (schedule) => ipcRenderer.invoke('schedules:save', schedule),
+  deleteSchedule:   (id) => ipcRenderer.invoke('schedules:delete', id),
+  scheduleStatus:   () => ipcRenderer.invoke('schedules:status'),
+  runSchedule:      (id) => ipcRenderer.invoke('schedules:run', id),
+  clearScheduleLog: () => ipcRenderer.invoke('schedules:clearHistory'),
+  onScheduleRan:    (handler) => ipcRenderer.on('schedule:ran', (_, entry) => handler(entry)),
+  healthStats:      (ips) => ipcRenderer.invoke('health:stats', ips),
+  healthLog:        () => ipcRenderer.invoke('health:log'),
+  logHealth:        (event) => ipcRenderer.invoke('health:record', event),
+  clearHealthLog:   () => ipcRenderer.invoke('health:clearLog'),
+  onHealthEvent:    (handler) => ipcRenderer.on('health:event', (_, entry) => handler(entry)),
+  apiStatus:        () => ipcRenderer.invoke('api:status'),
+  configureApi:     (opts) => ipcRenderer.invoke('api:configure', opts),
+  newApiToken:      () => ipcRenderer.invoke('api:newToken'),
+  apiEvent:         (event) => ipcRenderer.invoke('api:event', event),
+  oscStatus:        () => ipcRenderer.invoke('osc:status'),
+  configureOsc:     (opts) => ipcRenderer.invoke('osc:configure', opts),
+  setOscLearn:      (on) => ipcRenderer.invoke('osc:learn', on),
+  bindOsc:          (address, target) => ipcRenderer.invoke('osc:bind', address, target),
+  unbindOsc:        (address) => ipcRenderer.invoke('osc:unbind', address),
+  onOscMessage:     (handler) => ipcRenderer.on('osc:message', (_, msg) => handler(msg)),
+  // Control API requests arrive from main; the handler's result is sent back as the HTTP response
+  onApiCommand:     (handler) => ipcRenderer.on('api:command', async (_, { id, action, params }) => {
+    ipcRenderer.invoke('api:reply', id, await handler(action, params));
+  })
 });
+
+// MessagePorts can't cross the context bridge — hand live-feed ports to the page via window.postMessage
+ipcRenderer.on('feed:port', (e, { camId }) => window.postMessage({ type: 'feed:port', camId }, '*', e.ports));
@@ -0,0 +1,191 @@
+const http = require('http');
+const crypto = require('crypto');
+
+/* ── REST routes ──────────────────────────────────────────────────────────── */
+// Each route maps to an action the renderer executes with the same functions
+// its own buttons use. `:cam` is a camera IP or its 1-based position in the list.
+const ROUTES = [
+  ['GET',  /^\/api\/cameras$/,                 'cameras'],
+  ['GET',  /^\/api\/cameras\/([^/]+)$/,        'camera'],
+  ['POST', /^\/api\/cameras\/([^/]+)\/move$/,     'move'],
+  ['POST', /^\/api\/cameras\/([^/]+)\/zoom$/,     'zoom'],
+  ['POST', /^\/api\/cameras\/([^/]+)\/preset$/,   'preset'],
+  ['POST', /^\/api\/cameras\/([^/]+)\/tracking$/, 'tracking'],
+  ['POST', /^\/api\/sync$/,                    'sync']
+];
+const EVENTS_PATH = '/api/events';
+const MAX_BODY = 64 * 1024;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+function tokenMatches(given, token) {
+  if (!given || !token) return false;
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(token);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Bearer header everywhere. ?token= only on the WebSocket upgrade, where browser
+// clients can't set headers — a query token on REST would end up in logs and history.
+function requestToken(req, url, allowQuery = false) {
+  const m = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (m) return m[1].trim();
+  return allowQuery ? url.searchParams.get('token') : null;
+}
+
+// null for a request target the URL parser rejects (e.g. `//[`)
+function requestUrl(req) {
+  try { return new URL(req.url, 'http://localhost'); }
+  catch { return null; }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', d => {
+      body += d;
+      if (body.length > MAX_BODY) { reject(new Error('Request body too large')); req.destroy(); }
+    });
+    req.on('end', () => {
+      if (!body.trim()) { resolve({}); return; }
+      try { resolve(JSON.parse(body)); } catch { reject(new Error('Body is not valid JSON')); }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+/* ── WebSocket framing (RFC 6455, server side) ────────────────────────────── */
+// Server frames are unmasked; client frames are always masked.
+function wsFrame(opcode, payload) {
+  const len = payload.length;
+  const head = len < 126 ? Buffer.alloc(2) : len < 0x10000 ? Buffer.alloc(4) : Buffer.alloc(10);
+  head[0] = 0x80 | opcode;
+  if (len < 126) head[1] = len;
+  else if (len < 0x10000) { head[1] = 126; head.writeUInt16BE(len, 2); }
+  else { head[1] = 127; head.writeBigUInt64BE(BigInt(len), 2); }
+  return Buffer.concat([head, payload]);
+}
+
+// Pulls complete frames off the front of `buf`; returns { frames, rest }
+function wsParse(buf) {
+  const frames = [];
+  let off = 0;
+  while (buf.length - off >= 2) {
+    const opcode = buf[off] & 0x0f;
+    const masked = buf[off + 1] & 0x80;
+    let len = buf[off + 1] & 0x7f;
+    let p = off + 2;
+    if (len === 126) { if (buf.length < p + 2) break; len = buf.readUInt16BE(p); p += 2; }
+    else if (len === 127) { if (buf.length < p + 8) break; len = Number(buf.readBigUInt64BE(p)); p += 8; }
+    const mask = masked ? buf.subarray(p, p + 4) : null;
+    if (masked) p += 4;
+    if (buf.length < p + len) break;
+    const payload = Buffer.from(buf.subarray(p, p + len));
+    if (mask) for (let k = 0; k < payload.length; k++) payload[k] ^= mask[k & 3];
+    frames.push({ opcode, payload });
+    off = p + len;
+  }
+  return { frames, rest: buf.subarray(off) };
+}
+
+/* ── Server ───────────────────────────────────────────────────────────────── */
+/**
+ * Opt-in local control API: token-protected REST endpoints plus a WebSocket
+ * event feed at /api/events. Commands are handed to `onCommand(action, params)`,
+ * which resolves to a `{ success, error?, status? }` result; `onClient` supplies
+ * the greeting pushed to each new WebSocket client.
+ */
+class ControlServer {
+  constructor({ host = '127.0.0.1', port = 8787, token, onCommand, onClient = null }) {
+    this.host = host;
+    this.port = port;
+    this.token = token;
+    this.onCommand = onCommand;
+    this.onClient = onClient;
+    this.server = null;
+    this.clients = new Set();
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      const server = http.createServer((req, res) => this._request(req, res));
+      server.on('upgrade', (req, socket) => this._upgrade(req, socket));
+      server.once('error', reject);
+      server.listen(this.port, this.host, () => {
+        server.removeListener('error', reject);
+        this.server = server;
+        resolve(server.address());
+      });
+    });
+  }
+
+  stop() {
+    for (const socket of this.clients) socket.destroy();
+    this.clients.clear();
+    if (this.server) { this.server.close(); this.server = null; }
+  }
+
+  broadcast(event) {
+    const frame = wsFrame(0x1, Buffer.from(JSON.stringify(event)));
+    for (const socket of this.clients) socket.write(frame);
+  }
+
+  async _request(req, res) {
+    const url = requestUrl(req);
+    if (!url) { sendJson(res, 400, { success: false, error: 'Malformed request URL' }); return; }
+    if (!tokenMatches(requestToken(req, url), this.token)) { sendJson(res, 401, { success: false, error: 'Missing or invalid API token' }); return; }
+
+    const route = ROUTES.find(([method, re]) => method === req.method && re.test(url.pathname));
+    if (!route) { sendJson(res, 404, { success: false, error: `No route for ${req.method} ${url.pathname}` }); return; }
+    const [, re, action] = route;
+    const cam = re.exec(url.pathname)[1];
+
+    try {
+      const body = req.method === 'POST' ? await readBody(req) : {};
+      const { status, ...result } = await this.onCommand(action, { ...body, ...(cam ? { cam: decodeURIComponent(cam) } : {}) });
+      sendJson(res, status || (result.success ? 200 : 400), result);
+    } catch (err) {
+      sendJson(res, 400, { success: false, error: err.message });
+    }
+  }
+
+  async _upgrade(req, socket) {
+    // Node drops its own listener from upgraded sockets; a client reset during the
+    // handshake or a rejection would otherwise be an uncaught error
+    socket.on('error', () => this.clients.delete(socket));
+    const url = requestUrl(req);
+    const key = req.headers['sec-websocket-key'];
+    const reject = (status, text) => socket.end(`HTTP/1.1 ${status} ${text}\r\nConnection: close\r\n\r\n`);
+    if (!url || url.pathname !== EVENTS_PATH || !key || !/websocket/i.test(req.headers.upgrade || '')) { reject(400, 'Bad Request'); return; }
+    if (!tokenMatches(requestToken(req, url, true), this.token)) { reject(401, 'Unauthorized'); return; }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+    socket.setNoDelay(true);
+    this.clients.add(socket);
+
+    let buf = Buffer.alloc(0);
+    socket.on('data', chunk => {
+      const { frames, rest } = wsParse(Buffer.concat([buf, chunk]));
+      buf = rest;
+      for (const f of frames) {
+        if (f.opcode === 0x8) { socket.end(wsFrame(0x8, f.payload.subarray(0, 2))); this.clients.delete(socket); return; }
+        if (f.opcode === 0x9) socket.write(wsFrame(0xa, f.payload));
+        // Text/binary from clients is ignored — commands go through REST
+      }
+    });
+    socket.on('close', () => this.clients.delete(socket));
+
+    if (this.onClient) {
+      try { socket.write(wsFrame(0x1, Buffer.from(JSON.stringify(await this.onClient())))); }
+      catch { /* greeting is best-effort */ }
+    }
+  }
+}
+
+module.exports = { ControlServer, ROUTES, EVENTS_PATH };
@@ -0,0 +1,511 @@
+const { OnvifClient, xmlBlock, xmlText, xmlRange } = require('./onvif');
+
+/* ── Capabilities ─────────────────────────────────────────────────────────── */
+// What a driver can do; the renderer hides controls for anything a camera's driver lacks
+const CAPABILITY_LABELS = {
+  ptz: 'pan/tilt', zoom: 'zoom', zoomTo: 'absolute zoom', focus: 'focus control', focusLock: 'focus lock',
+  presets: 'presets', home: 'the home position', image: 'image settings', advancedImage: 'extended image settings',
+  snapshot: 'snapshots', mjpeg: 'MJPEG streaming', autotracking: 'native auto-tracking', osd: 'the OSD menu',
+  ptzReset: 'pan/tilt reset', video: 'video settings', audio: 'audio settings', network: 'network settings',
+  ir: 'IR remote channels', overlay: 'overlay settings', reboot: 'remote reboot', visca: 'VISCA over IP'
+};
+const CAPABILITIES = Object.keys(CAPABILITY_LABELS);
+
+// post_image_value API names → the cfg keys settings are reported under
+const CFG_KEY = {
+  wbmode: 'wb_mode', luminance: 'bright', aemode: 'exposure_mode', antiflicker: 'anti_flicker',
+  noise2d: 'nr2d', focusmode: 'focus_mode', scene: 'scene_mode'
+};
+
+// PTZOptics CGI replies are key=value lines; numeric values become numbers
+function parse(raw) {
+  const r = {};
+  for (const line of raw.split(/[\r\n]+/)) {
+    const eq = line.indexOf('=');
+    if (eq > 0) { const k = line.substring(0, eq).trim(), v = line.substring(eq+1).trim(); r[k] = isNaN(v) ? v : Number(v); }
+  }
+  return r;
+}
+
+/* ── Driver base ──────────────────────────────────────────────────────────── */
+/**
+ * One camera API. Instances are cheap and made per request from the state
+ * `probe()` worked out when the camera connected; `http` is the main process's
+ * { get, getBinary, post, soap } helpers, so auth and health stats apply.
+ * Every operation rejects with a readable error when the driver lacks it.
+ */
+class CameraDriver {
+  static kind = null;
+  static label = null;
+  static CAPABILITIES = [];
+
+  constructor(ip, auth, http, state = {}) {
+    this.ip = ip;
+    this.auth = auth;
+    this.http = http;
+    this.state = state;
+  }
+
+  get capabilities() { return this.state.capabilities || this.constructor.CAPABILITIES; }
+
+  // cfg keys the image settings cover; null when the camera reports its own
+  get params() { return this.state.params || null; }
+
+  can(cap) { return this.capabilities.includes(cap); }
+
+  require(cap) {
+    if (!this.can(cap)) throw new Error(`${this.constructor.label} cameras don't support ${CAPABILITY_LABELS[cap] || cap}`);
+  }
+
+  supportsParam(key) { return !this.params || this.params.includes(key); }
+
+  async info() { return {}; }
+  async readSettings() { this.require('image'); }
+  async setImageValue() { this.require('image'); }
+  async ptz(cmd) { this.require(ptzCapability(cmd)); }
+  async zoom() { this.require('zoom'); }
+  async zoomTo() { this.require('zoomTo'); }
+  async focus() { this.require('focus'); }
+  async snapshot() { this.require('snapshot'); }
+  mjpegPaths() { this.require('mjpeg'); }
+  async setAutoTracking() { this.require('autotracking'); }
+  async setFocusLock() { this.require('focusLock'); }
+  async ptzReset() { this.require('ptzReset'); }
+  async setOsd() { this.require('osd'); }
+  async osdNavigate() { this.require('osd'); }
+  async systemConfig() { this.require('network'); }
+  async videoConfig() { this.require('video'); }
+  async setVideoParams() { this.require('video'); }
+  async setAudioParams() { this.require('audio'); }
+  async setOverlay() { this.require('overlay'); }
+  async setTrackPreset() { this.require('autotracking'); }
+  async setNetworkParams() { this.require('network'); }
+  async setIRChannel() { this.require('ir'); }
+  async reboot() { this.require('reboot'); }
+}
+
+// ptzcmd vocabulary: directions and ptzstop, home, posset/poscall
+function ptzCapability(cmd) {
+  const c = cmd.toLowerCase();
+  return c === 'home' ? 'home' : c.startsWith('pos') ? 'presets' : 'ptz';
+}
+
+// A tiny reply that is really an HTML error page
+function checkImage(buf) {
+  if (buf.length >= 1000) return buf;
+  const text = buf.toString('utf8');
+  if (text.includes('<!DOCTYPE') || text.includes('<html')) {
+    if (text.includes('401') || text.includes('Unauthorized')) throw new Error('Authentication required for snapshots');
+    throw new Error('Camera returned error page instead of image');
+  }
+  return buf;
+}
+
+/* ── PTZOptics (HTTP-CGI) ─────────────────────────────────────────────────── */
+const CONF_QUERIES = ['get_image_conf', 'get_exposure_conf', 'get_focus_conf'];
+const DEVICE_CONF = '/cgi-bin/param.cgi?get_device_conf';
+
+class PtzOpticsDriver extends CameraDriver {
+  static CAPABILITIES = CAPABILITIES;
+  static SNAPSHOT_PATH = '/snapshot.jpg';
+  static MJPEG_PATHS = ['/mjpg/video.mjpg', '/cgi-bin/mjpg/video.cgi'];
+
+  get(path, timeout = 4000) { return this.http.get(this.ip, path, timeout, this.auth); }
+  post(path) { return this.http.post(this.ip, path, 4000, this.auth); }
+
+  async info() {
+    const info = parse(await this.get(DEVICE_CONF));
+    return {
+      model: info.device_model || info.model || 'PTZOptics Move SE',
+      serial: info.serial_number || info.sn || 'N/A',
+      firmware: info.firmware_version || info.fw || 'N/A'
+    };
+  }
+
+  // Groups that fail to read are left out unless `strict`; only a camera that
+  // answers none of them fails. Each group gets `retries` extra attempts.
+  async readSettings({ retries = 0, strict = false } = {}) {
+    const errors = [];
+    const groups = await Promise.all(CONF_QUERIES.map(async q => {
+      for (let attempt = 0; ; attempt++) {
+        try { return parse(await this.get(`/cgi-bin/param.cgi?${q}`)); }
+        catch (err) {
+          if (attempt < retries) continue;
+          if (strict) throw err;
+          errors.push(err);
+          return {};
+        }
+      }
+    }));
+    if (errors.length === CONF_QUERIES.length) throw errors[0];
+    return Object.assign({}, ...groups);
+  }
+
+  // All image/exposure/colour/focus settings: GET /cgi-bin/ptzctrl.cgi?post_image_value&param&value
+  async setImageValue(param, value) {
+    await this.get(`/cgi-bin/ptzctrl.cgi?post_image_value&${param}&${value}`);
+  }
+
+  async ptz(cmd, s1 = 5, s2 = 5) {
+    let urlPath = `/cgi-bin/ptzctrl.cgi?ptzcmd&${cmd}`;
+    if (cmd.toLowerCase() === 'home') {
+      // Home command takes no arguments
+    } else if (cmd.toLowerCase().startsWith('pos')) {
+      // Presets (posset/poscall) take only one argument (position number)
+      urlPath += `&${s1}`;
+    } else {
+      // Pan/Tilt commands take pan speed and tilt speed
+      urlPath += `&${s1}&${s2}`;
+    }
+    const response = await this.get(urlPath);
+    if (response.includes('401') || response.includes('Unauthorized')) throw new Error('Authentication required for PTZ control');
+  }
+
+  async zoom(dir, spd = 3) {
+    await this.get(`/cgi-bin/ptzctrl.cgi?ptzcmd&${dir}&${spd}`);
+  }
+
+  async zoomTo(position, speed = 7) {
+    // position expected as decimal 0-16384, converted to 4-digit hex
+    const pos = Math.max(0, Math.min(16384, Number(position)));
+    const posHex = pos.toString(16).padStart(4, '0');
+    await this.get(`/cgi-bin/ptzctrl.cgi?ptzcmd&zoomto&${speed}&${posHex}`);
+  }
+
+  async focus(cmd, speed = 3) {
+    // Focus commands require a speed (1-7)
+    await this.get(`/cgi-bin/ptzctrl.cgi?ptzcmd&${cmd}&${speed}`);
+  }
+
+  async snapshot() {
+    this.require('snapshot');
+    return checkImage(await this.http.getBinary(this.ip, this.constructor.SNAPSHOT_PATH, 5000, this.auth));
+  }
+
+  mjpegPaths() { return this.constructor.MJPEG_PATHS; }
+
+  async setFocusLock(lock) {
+    await this.get(`/cgi-bin/param.cgi?ptzcmd&${lock ? 'lock_mfocus' : 'unlock_mfocus'}`);
+  }
+
+  async ptzReset() { await this.get('/cgi-bin/param.cgi?pan_tiltdrive_reset'); }
+
+  async setOsd(open) { await this.get(`/cgi-bin/param.cgi?navigate_mode&${open ? 'OSD' : 'PTZ'}`); }
+
+  // cmd: up, down, left, right, confirm, osd_back
+  async osdNavigate(cmd) { await this.get(`/cgi-bin/ptzctrl.cgi?ptzcmd&${cmd}`); }
+
+  async systemConfig() {
+    const [net, srv, usr, trans] = await Promise.all(['get_network_conf', 'get_server_conf', 'get_user_conf', 'get_trans_conf']
+      .map(q => this.get(`/cgi-bin/param.cgi?${q}`).catch(() => '')));
+    return { network: parse(net), server: parse(srv), user: parse(usr), trans: parse(trans) };
+  }
+
+  async videoConfig() {
+    const [video, audio] = await Promise.all(['get_media_video', 'get_media_audio']
+      .map(q => this.get(`/cgi-bin/param.cgi?${q}`).catch(() => '')));
+    return { ...parse(video), ...parse(audio) };
+  }
+
+  async setVideoParams(params) { await this.post(`/cgi-bin/param.cgi?post_media_video&${query(params)}`); }
+  async setAudioParams(params) { await this.post(`/cgi-bin/param.cgi?post_media_audio&${query(params)}`); }
+  async setNetworkParams(params) { await this.post(`/cgi-bin/param.cgi?post_network_other_conf&${query(params)}`); }
+
+  async setOverlay(param, value) {
+    this.require('overlay');
+    await this.get(`/cgi-bin/param.cgi?set_overlay&${param}&${value}`);
+  }
+
+  async setTrackPreset(value) { await this.get(`/cgi-bin/ptzctrl.cgi?post_image_value&trackpreset&${value}`); }
+  async setIRChannel(channel) { await this.get(`/cgi-bin/param.cgi?post_ir_info=&ir_id=${channel}`); }
+  async reboot() { await this.post('/cgi-bin/param.cgi?post_reboot'); }
+
+  /**
+   * Resolves when the address answers the CGI API: G2 firmware serves
+   * /cgi-bin/snapshot.cgi, G3 only /snapshot.jpg. Resolves null when the
+   * address answers HTTP but not this API; connection errors reject.
+   */
+  static async probe(ip, auth, http, generation = null) {
+    // An error page can parse into stray keys, so look for ones the API always reports
+    const conf = parse(await http.get(ip, DEVICE_CONF, 4000, auth));
+    if (conf.device_model === undefined && conf.model === undefined) {
+      const image = parse(await http.get(ip, '/cgi-bin/param.cgi?get_image_conf', 4000, auth));
+      if (image.bright === undefined && image.saturation === undefined) return null;
+    }
+    const serves = path => http.getBinary(ip, path, 5000, auth).then(checkImage).then(() => true, () => false);
+    if (generation !== 'g3' && await serves(PtzOpticsG2.SNAPSHOT_PATH)) return { kind: PtzOpticsG2.kind, state: {} };
+    if (await serves(PtzOpticsG3.SNAPSHOT_PATH)) return { kind: generation === 'g2' ? PtzOpticsG2.kind : PtzOpticsG3.kind, state: {} };
+    const Driver = generation === 'g2' ? PtzOpticsG2 : PtzOpticsG3;
+    return { kind: Driver.kind, state: { capabilities: Driver.CAPABILITIES.filter(c => c !== 'snapshot') } };
+  }
+}
+
+function query(params) {
+  return Object.entries(params).map(([k, v]) => `${k}=${v}`).join('&');
+}
+
+class PtzOpticsG3 extends PtzOpticsDriver {
+  static kind = 'ptzoptics-g3';
+  static label = 'PTZOptics G3';
+
+  async setAutoTracking(enabled) {
+    await this.get(`/cgi-bin/param.cgi?set_overlay&autotracking&${enabled ? 'on' : 'off'}`);
+  }
+}
+
+// Older firmware: no set_overlay, auto-tracking through post_image_value, snapshot.cgi
+class PtzOpticsG2 extends PtzOpticsDriver {
+  static kind = 'ptzoptics-g2';
+  static label = 'PTZOptics G2';
+  static CAPABILITIES = CAPABILITIES.filter(c => c !== 'overlay');
+  static SNAPSHOT_PATH = '/cgi-bin/snapshot.cgi';
+  static MJPEG_PATHS = ['/cgi-bin/mjpg/video.cgi', '/mjpg/video.mjpg'];
+
+  async setAutoTracking(enabled) {
+    await this.get(`/cgi-bin/ptzctrl.cgi?post_image_value&autotrack&${enabled ? 2 : 3}`);
+  }
+}
+
+/* ── Generic ONVIF (SOAP, WS-UsernameToken) ───────────────────────────────── */
+// App settings use PTZOptics menu steps (0–max); ONVIF ranges come from GetOptions,
+// which names the white balance gains differently from the settings themselves
+const ONVIF_LEVELS = {
+  bright:     { path: ['Brightness'], max: 14 },
+  saturation: { path: ['ColorSaturation'], max: 14 },
+  contrast:   { path: ['Contrast'], max: 14 },
+  sharpness:  { path: ['Sharpness'], max: 16 },
+  rgain:      { path: ['WhiteBalance', 'CrGain'], options: ['WhiteBalance', 'YrGain'], max: 255, with: '<tt:Mode>MANUAL</tt:Mode>' },
+  bgain:      { path: ['WhiteBalance', 'CbGain'], options: ['WhiteBalance', 'YbGain'], max: 255, with: '<tt:Mode>MANUAL</tt:Mode>' }
+};
+// Mode settings map the PTZOptics codes the UI uses onto ONVIF enums
+const ONVIF_MODES = {
+  wb_mode:       { path: ['WhiteBalance', 'Mode'], values: { 0: 'AUTO', 5: 'MANUAL' } },
+  exposure_mode: { path: ['Exposure', 'Mode'], values: { 0: 'AUTO', 3: 'MANUAL' } },
+  backlight:     { path: ['BacklightCompensation', 'Mode'], values: { 2: 'ON', 3: 'OFF' } },
+  focus_mode:    { path: ['Focus', 'AutoFocusMode'], values: { 2: 'AUTO', 3: 'MANUAL' } }
+};
+const PAN_SPEED_MAX = 24, TILT_SPEED_MAX = 20, ZOOM_SPEED_MAX = 7, FOCUS_SPEED_MAX = 7;
+const ZOOM_MAX = 16384;
+const DIRS = {
+  up: [0, 1], down: [0, -1], left: [-1, 0], right: [1, 0],
+  upleft: [-1, 1], upright: [1, 1], downleft: [-1, -1], downright: [1, -1]
+};
+
+// Presets are named after their slot, so the slot → token map survives a reconnect
+const presetName = slot => `Preset ${slot}`;
+const presetSlot = name => Number((/^Preset (\d+)$/.exec(name || '') || [])[1]) || null;
+
+// <tt:A><tt:B>value</tt:B></tt:A>, with `extra` before the leaf (e.g. a required Mode)
+function imagingFragment(path, value, extra = '') {
+  const [head, ...rest] = path;
+  const inner = rest.length ? extra + imagingFragment(rest, value) : value;
+  return `<tt:${head}>${inner}</tt:${head}>`;
+}
+
+class OnvifDriver extends CameraDriver {
+  static kind = 'onvif';
+  static label = 'ONVIF';
+
+  get client() {
+    const client = new OnvifClient(this.ip, this.auth, this.http.soap);
+    Object.assign(client.paths, this.state.paths);
+    client.clockOffset = this.state.clockOffset || 0;
+    return client;
+  }
+
+  async info() {
+    const d = await this.client.deviceInformation();
+    return { model: [d.manufacturer, d.model].filter(Boolean).join(' ') || 'ONVIF camera', serial: d.serial || 'N/A', firmware: d.firmware || 'N/A' };
+  }
+
+  async readSettings({ retries = 0 } = {}) {
+    this.require('image');
+    for (let attempt = 0; ; attempt++) {
+      try { return this.fromImaging(await this.client.imagingSettings(this.state.source)); }
+      catch (err) { if (attempt >= retries) throw err; }
+    }
+  }
+
+  fromImaging(xml) {
+    const cfg = {};
+    for (const [key, { path, max }] of Object.entries(ONVIF_LEVELS)) {
+      const range = this.state.ranges[key], v = Number(xmlText(xml, ...path));
+      if (range && xmlText(xml, ...path) !== null && Number.isFinite(v)) cfg[key] = Math.round((v - range.min) / (range.max - range.min) * max);
+    }
+    for (const [key, { path, values }] of Object.entries(ONVIF_MODES)) {
+      const v = xmlText(xml, ...path);
+      const code = Object.keys(values).find(k => values[k] === v);
+      if (code !== undefined) cfg[key] = Number(code);
+    }
+    return cfg;
+  }
+
+  async setImageValue(param, value) {
+    this.require('image');
+    const key = CFG_KEY[param] || param;
+    if (!this.supportsParam(key)) throw new Error(`ONVIF cameras don't expose ${key}`);
+    let fragment;
+    if (ONVIF_LEVELS[key]) {
+      const { path, max, with: extra } = ONVIF_LEVELS[key];
+      const { min, max: top } = this.state.ranges[key];
+      const v = min + Math.max(0, Math.min(max, Number(value))) / max * (top - min);
+      fragment = imagingFragment(path, Number(v.toFixed(2)), extra);
+    } else {
+      const { path, values } = ONVIF_MODES[key];
+      if (!values[value]) throw new Error(`${key} ${value} has no ONVIF equivalent`);
+      fragment = imagingFragment(path, values[value]);
+    }
+    await this.client.setImagingSettings(this.state.source, fragment);
+  }
+
+  async ptz(cmd, s1 = 5, s2 = 5) {
+    const c = cmd.toLowerCase();
+    this.require(ptzCapability(c));
+    const { profile } = this.state;
+    if (c === 'home') await this.client.gotoHome(profile);
+    else if (c === 'poscall') await this.client.gotoPreset(profile, this.presetToken(s1));
+    else if (c === 'posset') await this.storePreset(s1);
+    else if (c === 'ptzstop') await this.client.stop(profile, { zoom: false });
+    else {
+      const d = DIRS[c];
+      if (!d) throw new Error(`Unknown PTZ command: ${cmd}`);
+      const pan = d[0] * Math.min(1, s1 / PAN_SPEED_MAX), tilt = d[1] * Math.min(1, s2 / TILT_SPEED_MAX);
+      await this.client.continuousMove(profile, { pan: Number(pan.toFixed(3)), tilt: Number(tilt.toFixed(3)) });
+    }
+  }
+
+  // Preset tokens belong to the camera: a slot gets one the first time it's stored
+  // (SetPreset without a token), and later saves overwrite that same preset
+  presetToken(slot) {
+    const token = this.state.presets[slot];
+    if (!token) throw new Error(`No preset stored in slot ${slot} on this camera`);
+    return token;
+  }
+
+  async storePreset(slot) {
+    const token = await this.client.setPreset(this.state.profile, this.state.presets[slot] || null, presetName(slot));
+    if (!token) throw new Error('Camera did not return a preset token');
+    this.state.presets[slot] = token;
+  }
+
+  async zoom(dir, spd = 3) {
+    this.require('zoom');
+    const v = (Number(spd) + 1) / (ZOOM_SPEED_MAX + 1);
+    if (dir === 'zoomstop') await this.client.stop(this.state.profile, { panTilt: false });
+    else await this.client.continuousMove(this.state.profile, { zoom: Number((dir === 'zoomout' ? -v : v).toFixed(3)) });
+  }
+
+  async zoomTo(position, speed = 7) {
+    this.require('zoomTo');
+    const pos = Math.max(0, Math.min(ZOOM_MAX, Number(position))) / ZOOM_MAX;
+    await this.client.absoluteZoom(this.state.profile, Number(pos.toFixed(4)), Math.min(1, speed / ZOOM_SPEED_MAX));
+  }
+
+  // Continuous focus in the imaging service: near for focusin, far for focusout
+  async focus(cmd, speed = 3) {
+    this.require('focus');
+    const v = Math.min(1, speed / FOCUS_SPEED_MAX);
+    if (cmd === 'focusstop') await this.client.focusStop(this.state.source);
+    else await this.client.focusMove(this.state.source, cmd === 'focusin' ? -v : v);
+  }
+
+  // GetSnapshotUri is plain HTTP behind the camera's usual HTTP auth
+  async snapshot() {
+    this.require('snapshot');
+    return checkImage(await this.http.getBinary(this.ip, this.state.snapshotPath, 5000, this.auth));
+  }
+
+  async reboot() { await this.client.reboot(); }
+
+  /**
+   * Finds the service paths and the first media profile (one with PTZ if any),
+   * then works out capabilities from what the camera reports: PTZ from the
+   * profile, image settings and continuous focus from the imaging service,
+   * snapshots from GetSnapshotUri. state.presets maps slot → preset token.
+   */
+  static async probe(ip, auth, http) {
+    const client = new OnvifClient(ip, auth, http.soap);
+    // Cameras that want credentials even for the clock simply keep a zero offset
+    await client.syncClock().catch(() => {});
+    await client.capabilities();
+    const profiles = client.paths.media ? await client.profiles() : [];
+    const profile = profiles.find(p => p.ptz) || profiles[0];
+    if (!profile) throw new Error('ONVIF camera reports no media profiles');
+
+    const state = { paths: client.paths, clockOffset: client.clockOffset, profile: profile.token, source: profile.videoSource, ranges: {}, params: [], presets: {} };
+    const caps = ['reboot'];
+    if (client.paths.ptz && profile.ptz) {
+      caps.push('ptz', 'zoom', 'zoomTo', 'presets', 'home');
+      // Presets stored by an earlier session are found again by name
+      try {
+        for (const { token, name } of await client.presets(profile.token)) {
+          const slot = presetSlot(name);
+          if (token && slot) state.presets[slot] = token;
+        }
+      } catch (err) {
+        console.log(`[onvif] ${ip}: no preset list (${err.message})`);
+      }
+    }
+
+    if (client.paths.imaging && profile.videoSource) {
+      try {
+        const [settings, options] = await Promise.all([client.imagingSettings(profile.videoSource), client.imagingOptions(profile.videoSource)]);
+        for (const [key, { path, options: optionsPath = path }] of Object.entries(ONVIF_LEVELS)) {
+          const range = xmlRange(options, ...optionsPath);
+          if (range && xmlText(settings, ...path) !== null) { state.ranges[key] = range; state.params.push(key); }
+        }
+        for (const [key, { path }] of Object.entries(ONVIF_MODES)) {
+          if (xmlText(settings, ...path) !== null) state.params.push(key);
+        }
+        if (state.params.length) caps.push('image');
+        if (xmlBlock(settings, 'Focus') !== null) caps.push('focus');
+      } catch (err) {
+        console.log(`[onvif] ${ip}: no imaging settings (${err.message})`);
+      }
+    }
+
+    try {
+      const uri = await client.snapshotUri(profile.token);
+      if (uri) { const u = new URL(uri); state.snapshotPath = u.pathname + u.search; caps.push('snapshot'); }
+    } catch (err) {
+      console.log(`[onvif] ${ip}: no snapshot URI (${err.message})`);
+    }
+
+    state.capabilities = caps;
+    return { kind: OnvifDriver.kind, state };
+  }
+}
+
+/* ── Registry & detection ─────────────────────────────────────────────────── */
+const DRIVERS = Object.fromEntries([PtzOpticsG3, PtzOpticsG2, OnvifDriver].map(D => [D.kind, D]));
+
+/**
+ * Works out which driver a camera needs: `kind` 'auto' tries the PTZOptics
+ * CGI API first, then ONVIF. Resolves to { kind, state }, which is plain data —
+ * createDriver() turns it back into a driver for each request.
+ */
+async function detectDriver(ip, auth, http, kind = 'auto') {
+  if (kind === 'ptzoptics-g2' || kind === 'ptzoptics-g3') {
+    const found = await PtzOpticsDriver.probe(ip, auth, http, kind.slice(-2));
+    if (!found) throw new Error('Camera does not answer the PTZOptics CGI API');
+    return found;
+  }
+  if (kind === 'onvif') return OnvifDriver.probe(ip, auth, http);
+  if (kind && kind !== 'auto') throw new Error(`Unknown camera driver: ${kind}`);
+
+  const found = await PtzOpticsDriver.probe(ip, auth, http);
+  if (found) return found;
+  try {
+    return await OnvifDriver.probe(ip, auth, http);
+  } catch (err) {
+    throw new Error(`No supported camera API found (${err.message})`);
+  }
+}
+
+function createDriver({ kind, state }, ip, auth, http) {
+  const Driver = DRIVERS[kind];
+  if (!Driver) throw new Error(`Unknown camera driver: ${kind}`);
+  return new Driver(ip, auth, http, state);
+}
+
+module.exports = { detectDriver, createDriver, DRIVERS, CAPABILITIES, CFG_KEY, parse };
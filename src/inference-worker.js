@@ -0,0 +1,152 @@
+/* ── Tracking inference worker ────────────────────────────────────────────── */
+// Runs person detection off the UI thread. One instance of each model is shared
+// by every tracking camera; the renderer's scheduler decides whose frame is next.
+// Requests are { id, op, ... } and each gets one { id, result } or { id, error }.
+importScripts('../vendor/tf.js', '../vendor/tensorflow-models/coco-ssd.js', '../vendor/tensorflow-models/pose-detection.js');
+
+const models = {};   // type → detector, once loaded
+const loading = {};  // type → load promise, so concurrent requests share it
+
+function loadModel(type) {
+  if (models[type]) return Promise.resolve(false);
+  loading[type] ||= (type === 'movenet'
+    ? poseDetection.createDetector(
+      poseDetection.SupportedModels.MoveNet,
+      { modelType: 'SinglePose.Lightning', runtime: 'tfjs', modelUrl: '../vendor/models/movenet/model.json' }
+    )
+    : cocoSsd.load({ base: 'lite_mobilenet_v2' })
+  ).then(m => { models[type] = m; return true; }).finally(() => { delete loading[type]; });
+  return loading[type];
+}
+
+/* ── Appearance signature ─────────────────────────────────────────────────── */
+// A hue × saturation histogram of the torso, with separate brightness bins for
+// near-grey pixels (dark suits, white shirts); the renderer compares these to
+// re-identify a locked subject.
+const SIG_HUE_BINS = 12, SIG_SAT_BINS = 3, SIG_GREY_BINS = 4;
+const SIG_W = 16, SIG_H = 24;   // torso is resampled to this before binning
+const sigCtx = new OffscreenCanvas(SIG_W, SIG_H).getContext('2d', { willReadFrequently: true });
+
+function appearanceSig(src, [x, y, w, h]) {
+  const x0 = Math.max(0, x), y0 = Math.max(0, y);
+  const x1 = Math.min(src.width, x + w), y1 = Math.min(src.height, y + h);
+  if (x1 - x0 < 4 || y1 - y0 < 4) return null;
+  sigCtx.drawImage(src, x0, y0, x1 - x0, y1 - y0, 0, 0, SIG_W, SIG_H);
+  const px = sigCtx.getImageData(0, 0, SIG_W, SIG_H).data;
+  const hist = new Float32Array(SIG_HUE_BINS * SIG_SAT_BINS + SIG_GREY_BINS);
+  for (let k = 0; k < px.length; k += 4) {
+    const r = px[k] / 255, g = px[k + 1] / 255, b = px[k + 2] / 255;
+    const max = Math.max(r, g, b), d = max - Math.min(r, g, b);
+    const sat = max ? d / max : 0;
+    if (sat < 0.2 || max < 0.15) {
+      hist[SIG_HUE_BINS * SIG_SAT_BINS + Math.min(SIG_GREY_BINS - 1, Math.floor(max * SIG_GREY_BINS))]++;
+      continue;
+    }
+    const hue = ((max === r ? (g - b) / d : max === g ? 2 + (b - r) / d : 4 + (r - g) / d) + 6) % 6 / 6;
+    const hb = Math.min(SIG_HUE_BINS - 1, Math.floor(hue * SIG_HUE_BINS));
+    const sb = Math.min(SIG_SAT_BINS - 1, Math.floor((sat - 0.2) / 0.8 * SIG_SAT_BINS));
+    hist[hb * SIG_SAT_BINS + sb]++;
+  }
+  for (let k = 0; k < hist.length; k++) hist[k] /= SIG_W * SIG_H;
+  return hist;
+}
+
+// Shoulder-to-hip region of a MoveNet pose; falls back to the middle of its keypoint box
+function poseTorso(kps, [bx, by, bw, bh]) {
+  const lS = kps[5], rS = kps[6], lH = kps[11], rH = kps[12];
+  if (lS.score < 0.3 || rS.score < 0.3) return [bx + bw * 0.2, by + bh * 0.2, bw * 0.6, bh * 0.4];
+  const left = Math.min(lS.x, rS.x), width = Math.max(Math.abs(lS.x - rS.x), 8);
+  const top = (lS.y + rS.y) / 2;
+  const hips = [lH, rH].filter(k => k.score > 0.25);
+  const bottom = hips.length ? hips.reduce((s, k) => s + k.y, 0) / hips.length : top + width * 1.2;
+  return [left, top, width, Math.max(bottom - top, 8)];
+}
+
+/* ── Detection ────────────────────────────────────────────────────────────── */
+// Every person in the frame as { cx, cy, top, size, box, sig } — both models
+// feed the same selection
+async function detectCandidates(type, canvas) {
+  const imgH = canvas.height;
+  const candidates = [];
+
+  if (type === 'movenet') {
+    const poses = await models.movenet.estimatePoses(canvas);
+    const validPoses = poses.filter(p => {
+      const k = p.keypoints;
+      return k[0].score > 0.3 || k[5].score > 0.3 || k[6].score > 0.3;
+    });
+
+    for (const pose of validPoses) {
+      const kps = pose.keypoints;
+      const nose = kps[0];  // 0
+      const lS = kps[5];    // left shoulder
+      const rS = kps[6];    // right shoulder
+      const lH = kps[11];   // left hip
+      const rH = kps[12];   // right hip
+
+      // Tracking point: center on chest area (between shoulders and hips)
+      // This naturally reduces headroom compared to nose-weighted centroid
+      let xSum = 0, ySum = 0, div = 0;
+      if (nose.score > 0.3)  { xSum += nose.x; ySum += nose.y; div += 1; }
+      if (lS.score > 0.3)    { xSum += lS.x;   ySum += lS.y;   div += 1; }
+      if (rS.score > 0.3)    { xSum += rS.x;   ySum += rS.y;   div += 1; }
+      // Include hips if visible — pulls centroid down for better framing
+      if (lH.score > 0.25)   { xSum += lH.x;   ySum += lH.y;   div += 1; }
+      if (rH.score > 0.25)   { xSum += rH.x;   ySum += rH.y;   div += 1; }
+      if (div === 0) continue;
+
+      // Estimate subject size: vertical span from top keypoint to bottom keypoint
+      const visible = kps.filter(k => k.score > 0.25);
+      const xs = visible.map(k => k.x), ys = visible.map(k => k.y);
+      const size = ys.length >= 2 ? (Math.max(...ys) - Math.min(...ys)) / imgH : 0;
+      const box = [Math.min(...xs), Math.min(...ys), Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys)];
+      candidates.push({ cx: xSum / div, cy: ySum / div, top: box[1], size, box, sig: appearanceSig(canvas, poseTorso(kps, box)) });
+    }
+  } else {
+    const predictions = await models.coco.detect(canvas);
+    const people = predictions.filter(p => p.class === 'person' && p.score > 0.4);
+
+    for (const person of people) {
+      const [x, y, w, h] = person.bbox;
+      // Torso band of the box — skips background beside the head and the floor near the feet
+      const torso = [x + w * 0.2, y + h * 0.2, w * 0.6, h * 0.4];
+      candidates.push({ cx: x + w / 2, cy: y + h / 2, top: y, size: h / imgH, box: person.bbox, sig: appearanceSig(canvas, torso) });
+    }
+  }
+  return candidates;
+}
+
+// The detectors read pixels from a canvas, so frames are decoded onto this one
+let frameCanvas = null, frameCtx = null;
+
+async function detect({ model, frame }) {
+  const type = model === 'movenet' ? 'movenet' : 'coco';
+  await loadModel(type);
+  const bmp = await createImageBitmap(frame);
+  const { width: w, height: h } = bmp;
+  if (!frameCanvas || frameCanvas.width !== w || frameCanvas.height !== h) {
+    frameCanvas = new OffscreenCanvas(w, h);
+    frameCtx = frameCanvas.getContext('2d');
+  }
+  frameCtx.drawImage(bmp, 0, 0);
+  bmp.close();
+  const t0 = performance.now();
+  const candidates = await detectCandidates(type, frameCanvas);
+  return { w, h, candidates, ms: performance.now() - t0 };
+}
+
+const OPS = {
+  load: ({ model }) => loadModel(model === 'movenet' ? 'movenet' : 'coco').then(loaded => ({ loaded })),
+  detect
+};
+
+self.onmessage = async ({ data }) => {
+  const { id, op } = data;
+  try {
+    if (!OPS[op]) throw new Error(`Unknown inference op '${op}'`);
+    const result = await OPS[op](data);
+    self.postMessage({ id, result }, result.candidates ? result.candidates.filter(c => c.sig).map(c => c.sig.buffer) : []);
+  } catch (err) {
+    self.postMessage({ id, error: err.message || String(err) });
+  }
+};
@@ -1,8 +1,17 @@
-const { app, BrowserWindow, ipcMain } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, safeStorage, MessageChannelMain } = require('electron');
 const path = require('path');
+const fs = require('fs');
 const http = require('http');
 const crypto = require('crypto');
 const dgram = require('dgram');
+const os = require('os');
+const { fork } = require('child_process');
+const { once } = require('events');
+const { ViscaClient, VISCA_COMMANDS } = require('./visca');
+const { MjpegParser, boundaryOf } = require('./mjpeg');
+const { ControlServer } = require('./control-server');
+const osc = require('./osc');
+const { detectDriver, createDriver, CFG_KEY, parse } = require('./drivers');
 
 let mainWindow;
 
@@ -26,26 +35,164 @@ function createWindow() {
   // mainWindow.webContents.openDevTools();
 }
 
-app.whenReady().then(createWindow);
+app.whenReady().then(() => {
+  createWindow();
+  startControlApi();
+  startOsc();
+  armScheduler();
+});
 app.on('window-all-closed', () => { if (process.platform !== 'darwin') app.quit(); });
+app.on('will-quit', () => {
+  for (const v of viscaClients.values()) v.close();
+  for (const camId of [...liveFeeds.keys()]) stopLiveFeed(camId);
+  for (const r of recordingFiles.values()) r.stream.end();
+  if (simulator) simulator.kill();
+  if (controlServer) controlServer.stop();
+  if (oscSocket) oscSocket.close();
+  clearTimeout(scheduleTimer);
+});
 app.on('activate', () => { if (BrowserWindow.getAllWindows().length === 0) createWindow(); });
 
-/* ── Mock Data ────────────────────────────────────────────────────────────── */
-const MOCK_DATA = {
-  info: { model: 'Simulated PTZ', serial: 'SIM-001', firmware: 'v9.9.9-mock' },
-  config: {
-    wb_mode: 0, rgaintuning: 10, bgaintuning: 10,
-    exposure_mode: 0, gain: 0, gainLimit: 15, backlight: 3, iris: 0, shutter: 1,
-    focus_mode: 2, drc: 0,
-    saturation: 4, bright: 7, contrast: 7, hue: 7, sharpness: 6,
-    nr2d: 0, anti_flicker: 0
+/* ── Local JSON storage (userData) ───────────────────────────────────────── */
+function storePath(name) {
+  return path.join(app.getPath('userData'), `${name}.json`);
+}
+
+function readStore(name, fallback) {
+  try { return JSON.parse(fs.readFileSync(storePath(name), 'utf8')); }
+  catch { return fallback; }
+}
+
+function writeStore(name, data) {
+  fs.mkdirSync(app.getPath('userData'), { recursive: true });
+  fs.writeFileSync(storePath(name), JSON.stringify(data, null, 2));
+}
+
+/* ── Credential store (encrypted at rest) ─────────────────────────────────── */
+// credentials.json: { backend, salt, check, entries: { [ref]: { username, isDefault, data } } }
+// `data` holds the encrypted password — via OS keyring (safeStorage) when available,
+// otherwise AES-256-GCM with a key derived from a user passphrase. The renderer only sees refs.
+const FACTORY_CREDENTIALS = [['admin', 'admin']];
+const PASSPHRASE_CHECK = 'pitized';
+
+let passphraseKey = null;
+const credCache = new Map();
+
+function keyringAvailable() {
+  if (!safeStorage.isEncryptionAvailable()) return false;
+  // Linux without a secret service falls back to a hard-coded key — no better than plaintext
+  if (process.platform === 'linux' && typeof safeStorage.getSelectedStorageBackend === 'function') {
+    return safeStorage.getSelectedStorageBackend() !== 'basic_text';
   }
-};
+  return true;
+}
+
+function readCredStore() {
+  const store = readStore('credentials', null) || { entries: {} };
+  if (!store.backend) store.backend = keyringAvailable() ? 'safeStorage' : 'passphrase';
+  return store;
+}
+
+function aesEncrypt(key, text) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const enc = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), enc]).toString('base64');
+}
+
+function aesDecrypt(key, data) {
+  const buf = Buffer.from(data, 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, buf.subarray(0, 12));
+  decipher.setAuthTag(buf.subarray(12, 28));
+  return Buffer.concat([decipher.update(buf.subarray(28)), decipher.final()]).toString('utf8');
+}
 
-// Mock PTZ State (World Coordinates of the camera center)
-let mockPtz = { pan: 0, tilt: 0, zoom: 0 };
-// The "Subject" is at (0,0). Camera sees subject relative to its pan/tilt.
-// Range: Pan -100 to 100, Tilt -50 to 50.
+function encryptSecret(store, text) {
+  if (store.backend === 'safeStorage') return safeStorage.encryptString(text).toString('base64');
+  if (!passphraseKey) throw new Error('Credential store is locked');
+  return aesEncrypt(passphraseKey, text);
+}
+
+function decryptSecret(store, data) {
+  if (store.backend === 'safeStorage') return safeStorage.decryptString(Buffer.from(data, 'base64'));
+  if (!passphraseKey) throw new Error('Credential store is locked');
+  return aesDecrypt(passphraseKey, data);
+}
+
+// Swaps a { ref } for the stored { username, password }; plain auth objects pass through.
+// Throws while the passphrase store is locked, rather than sending the request without
+// credentials and leaving the camera's 401 to explain it.
+function resolveAuth(auth) {
+  if (!auth || !auth.ref) return auth;
+  if (credCache.has(auth.ref)) return credCache.get(auth.ref);
+  const store = readCredStore();
+  const entry = store.entries[auth.ref];
+  if (!entry) return null;
+  if (store.backend === 'passphrase' && !passphraseKey) {
+    throw new Error('Credential store is locked - unlock it with your passphrase to use saved credentials');
+  }
+  try {
+    const resolved = { username: entry.username, password: decryptSecret(store, entry.data) };
+    credCache.set(auth.ref, resolved);
+    return resolved;
+  } catch (err) {
+    console.error(`[creds] Cannot resolve ${auth.ref}: ${err.message}`);
+    return null;
+  }
+}
+
+ipcMain.handle('creds:status', async () => {
+  const store = readCredStore();
+  const locked = store.backend === 'passphrase' && !passphraseKey;
+  return { backend: store.backend, locked, initialized: store.backend === 'safeStorage' || !!store.check };
+});
+
+// First call sets the passphrase; later calls must match it
+ipcMain.handle('creds:unlock', async (_, passphrase) => {
+  try {
+    if (!passphrase) return { success: false, error: 'Passphrase required' };
+    const store = readCredStore();
+    if (store.backend !== 'passphrase') return { success: true };
+    if (!store.salt) store.salt = crypto.randomBytes(16).toString('base64');
+    const key = crypto.scryptSync(passphrase, Buffer.from(store.salt, 'base64'), 32);
+    if (store.check) {
+      try { aesDecrypt(key, store.check); }
+      catch { return { success: false, error: 'Wrong passphrase' }; }
+    } else {
+      store.check = aesEncrypt(key, PASSPHRASE_CHECK);
+      writeStore('credentials', store);
+    }
+    passphraseKey = key;
+    return { success: true };
+  } catch (err) { return { success: false, error: err.message }; }
+});
+
+ipcMain.handle('creds:list', async () => {
+  const store = readCredStore();
+  return Object.fromEntries(Object.entries(store.entries).map(([ref, e]) => [ref, { username: e.username, isDefault: e.isDefault }]));
+});
+
+ipcMain.handle('creds:save', async (_, ref, username, password) => {
+  try {
+    const store = readCredStore();
+    const id = ref || `cred_${crypto.randomBytes(8).toString('hex')}`;
+    const isDefault = FACTORY_CREDENTIALS.some(([u, p]) => u === username && p === password);
+    store.entries[id] = { username, isDefault, data: encryptSecret(store, password) };
+    writeStore('credentials', store);
+    credCache.set(id, { username, password });
+    return { success: true, ref: id, isDefault };
+  } catch (err) { return { success: false, error: err.message }; }
+});
+
+ipcMain.handle('creds:delete', async (_, ref) => {
+  try {
+    const store = readCredStore();
+    delete store.entries[ref];
+    writeStore('credentials', store);
+    credCache.delete(ref);
+    return { success: true };
+  } catch (err) { return { success: false, error: err.message }; }
+});
 
 /* ── HTTP Authentication ──────────────────────────────────────────────────── */
 function md5(str) {
@@ -103,11 +250,11 @@ function buildBasicAuth(username, password) {
   return { headerName: 'Authorization', headerValue: `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}` };
 }
 
-function buildRetryHeaders(scheme, uri, auth, challenge, cookie) {
+function buildRetryHeaders(scheme, uri, auth, challenge, cookie, method = 'GET') {
   const headers = { 'Connection': 'close' };
 
   if (scheme === 'digest') {
-    const a = buildDigestAuth('GET', uri, auth.username, auth.password, challenge);
+    const a = buildDigestAuth(method, uri, auth.username, auth.password, challenge);
     headers[a.headerName] = a.headerValue;
   } else if (scheme === 'authn') {
     const a = buildAuthnAuth(uri, auth.username, auth.password, challenge);
@@ -138,7 +285,8 @@ function authGet(ip, urlPath, timeout, auth, onResponse, onError) {
       if (res.statusCode === 401) {
         // Cache stale — clear and retry fresh
         console.log(`[auth] Cached ${cached.scheme} auth expired for ${ip}, re-authenticating`);
-        authCache.delete(ip);
+        // Parallel requests all see the 401; only the one that clears the cache logs it
+        if (authCache.delete(ip)) logHealth({ type: 'auth', ip, message: `${cached.scheme} auth expired — renegotiating` });
         res.resume();
         authGetFresh(ip, urlPath, timeout, auth, onResponse, onError);
         return;
@@ -227,9 +375,53 @@ function authGetFresh(ip, urlPath, timeout, auth, onResponse, onError) {
   req.on('timeout', () => { req.destroy(); onError(new Error('Request timed out')); });
 }
 
+/* ── Connection health (request stats per camera, persistent event log) ───── */
+// Every request through the HTTP helpers below is timed per camera address. The
+// renderer polls these stats for its health indicators and decides when a camera
+// is down; disconnects and recoveries it reports, and auth renegotiations noticed
+// here, go to the event log.
+const HEALTH_SAMPLES = 50;      // recent requests kept per camera
+const HEALTH_LOG_SIZE = 500;
+const requestStats = new Map(); // ip → [{ t, ms, ok, error }]
+
+function timed(ip, promise) {
+  const t0 = Date.now();
+  const record = (error = null) => {
+    const list = requestStats.get(ip) || [];
+    list.push({ t: Date.now(), ms: Date.now() - t0, ok: !error, error: error && error.message });
+    if (list.length > HEALTH_SAMPLES) list.shift();
+    requestStats.set(ip, list);
+  };
+  return promise.then(v => { record(); return v; }, err => { record(err); throw err; });
+}
+
+// Median/95th percentile latency of successful requests and the share that failed
+function healthStats(ip) {
+  const list = requestStats.get(ip) || [];
+  const ms = list.filter(x => x.ok).map(x => x.ms).sort((a, b) => a - b);
+  const failed = list.filter(x => !x.ok);
+  const pct = q => ms.length ? ms[Math.min(ms.length - 1, Math.floor(ms.length * q))] : null;
+  return {
+    requests: list.length, errors: failed.length, errorRate: list.length ? failed.length / list.length : 0,
+    latency: pct(0.5), p95: pct(0.95), lastError: failed.length ? failed[failed.length - 1].error : null
+  };
+}
+
+function logHealth(event) {
+  const entry = { time: new Date().toISOString(), ...event };
+  writeStore('health-log', [entry, ...readStore('health-log', [])].slice(0, HEALTH_LOG_SIZE));
+  if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('health:event', entry);
+}
+
+ipcMain.handle('health:stats', async (_, ips) => Object.fromEntries(ips.map(ip => [ip, healthStats(ip)])));
+ipcMain.handle('health:log', async () => readStore('health-log', []));
+ipcMain.handle('health:record', async (_, event) => { logHealth(event); });
+ipcMain.handle('health:clearLog', async () => { writeStore('health-log', []); return { success: true }; });
+
 /* ── HTTP helpers ─────────────────────────────────────────────────────────── */
 function httpGet(ip, urlPath, timeout = 4000, auth = null) {
-  return new Promise((resolve, reject) => {
+  auth = resolveAuth(auth);
+  return timed(ip, new Promise((resolve, reject) => {
     function onError(err) {
       if (err.code === 'ECONNREFUSED') reject(new Error('Connection refused - camera may be offline or IP is incorrect'));
       else if (err.code === 'EHOSTUNREACH' || err.code === 'ENETUNREACH') reject(new Error('Network unreachable - check network connection'));
@@ -243,11 +435,12 @@ function httpGet(ip, urlPath, timeout = 4000, auth = null) {
       res.on('end', () => resolve(d));
       res.on('error', reject);
     }, onError);
-  });
+  }));
 }
 
 function httpGetBinary(ip, urlPath, timeout = 5000, auth = null) {
-  return new Promise((resolve, reject) => {
+  auth = resolveAuth(auth);
+  return timed(ip, new Promise((resolve, reject) => {
     function onError(err) {
       if (err.code === 'ECONNREFUSED') reject(new Error('Connection refused - camera may be offline'));
       else if (err.code === 'ETIMEDOUT') reject(new Error('Connection timed out'));
@@ -261,11 +454,12 @@ function httpGetBinary(ip, urlPath, timeout = 5000, auth = null) {
       res.on('end', () => resolve(Buffer.concat(chunks)));
       res.on('error', reject);
     }, onError);
-  });
+  }));
 }
 
 function httpPost(ip, urlPath, timeout = 4000, auth = null) {
-  return new Promise((resolve, reject) => {
+  auth = resolveAuth(auth);
+  return timed(ip, new Promise((resolve, reject) => {
     function onError(err) {
       if (err.code === 'ECONNREFUSED') reject(new Error('Connection refused - camera may be offline'));
       else if (err.code === 'ETIMEDOUT') reject(new Error('Connection timed out'));
@@ -276,12 +470,18 @@ function httpPost(ip, urlPath, timeout = 4000, auth = null) {
     const cached = authCache.get(ip);
     const headers = { 'Connection': 'close', 'Content-Length': '0' };
     if (cached && auth && auth.username && auth.password) {
-      const retryH = buildRetryHeaders(cached.scheme, urlPath, auth, cached.challenge, cached.cookie);
+      const retryH = buildRetryHeaders(cached.scheme, urlPath, auth, cached.challenge, cached.cookie, 'POST');
       Object.assign(headers, retryH);
     }
     const urlObj = new (require('url').URL)(url);
     const opts = { hostname: urlObj.hostname, port: urlObj.port || 80, path: urlObj.pathname + urlObj.search, method: 'POST', timeout, headers };
     const req = http.request(opts, res => {
+      if (res.statusCode === 401) {
+        // Stale or missing auth — drop the cache so the next GET renegotiates
+        if (authCache.delete(ip)) logHealth({ type: 'auth', ip, message: 'POST rejected — auth cache cleared' });
+        res.resume();
+        return reject(new Error('401 Unauthorized - retry after reconnecting'));
+      }
       let d = '';
       res.on('data', c => d += c);
       res.on('end', () => resolve(d));
@@ -290,434 +490,1258 @@ function httpPost(ip, urlPath, timeout = 4000, auth = null) {
     req.on('error', (err) => { req.destroy(); onError(err); });
     req.on('timeout', () => { req.destroy(); onError(new Error('Request timed out')); });
     req.end();
-  });
+  }));
+}
+
+// SOAP for ONVIF drivers. Resolves { status, body } for any status, since faults
+// arrive as 400/500 with the reason in the body. Credentials travel in the SOAP
+// header; cameras that also want HTTP auth get one digest/basic retry.
+function httpPostXml(ip, urlPath, body, timeout = 5000, auth = null) {
+  auth = resolveAuth(auth);
+  return timed(ip, new Promise((resolve, reject) => {
+    function onError(err) {
+      if (err.code === 'ECONNREFUSED') reject(new Error('Connection refused - camera may be offline'));
+      else if (err.code === 'ETIMEDOUT') reject(new Error('Connection timed out'));
+      else reject(err);
+    }
+    const urlObj = new URL(`http://${ip}${urlPath}`);
+    const send = (authHeaders, mayRetry) => {
+      const headers = { 'Connection': 'close', 'Content-Type': 'application/soap+xml; charset=utf-8', 'Content-Length': Buffer.byteLength(body), ...authHeaders };
+      const opts = { hostname: urlObj.hostname, port: urlObj.port || 80, path: urlObj.pathname + urlObj.search, method: 'POST', timeout, headers };
+      const req = http.request(opts, res => {
+        const wwwAuth = res.headers['www-authenticate'] || '';
+        const scheme = /^digest/i.test(wwwAuth) ? 'digest' : /^basic/i.test(wwwAuth) ? 'basic' : null;
+        if (res.statusCode === 401 && mayRetry && scheme && auth && auth.username && auth.password) {
+          res.resume();
+          return send(buildRetryHeaders(scheme, urlPath, auth, parseAuthParams(wwwAuth), null, 'POST'), false);
+        }
+        let d = '';
+        res.on('data', c => d += c);
+        res.on('end', () => resolve({ status: res.statusCode, body: d }));
+        res.on('error', reject);
+      });
+      req.on('error', (err) => { req.destroy(); onError(err); });
+      req.on('timeout', () => { req.destroy(); onError(new Error('Request timed out')); });
+      req.end(body);
+    };
+    send({}, true);
+  }));
 }
 
-function parse(raw) {
-  const r = {};
-  for (const line of raw.split(/[\r\n]+/)) {
-    const eq = line.indexOf('=');
-    if (eq > 0) { const k = line.substring(0, eq).trim(), v = line.substring(eq+1).trim(); r[k] = isNaN(v) ? v : Number(v); }
+/* ── Camera drivers (see drivers.js) ──────────────────────────────────────── */
+// Which API a camera speaks (PTZOptics G2/G3 CGI, ONVIF) is worked out when it
+// connects and remembered per address; the handlers below only call the driver.
+// A connect (including the health monitor's reconnects) detects it again, and an
+// unreachable camera or rejected login drops it — the address may now be another camera.
+const cameraHttp = { get: httpGet, getBinary: httpGetBinary, post: httpPost, soap: httpPostXml };
+const cameraDrivers = new Map(); // ip → { kind, state } from detectDriver()
+const DRIVER_STALE_ERROR = /^(Connection refused|Connection timed out|Request timed out|Network unreachable|401 Unauthorized)|ECONNRESET|EHOSTUNREACH|socket hang up/;
+
+// Cameras driven before they were connected (API, scheduler) are detected on first use
+async function driverFor(ip, auth) {
+  auth = resolveAuth(auth);
+  let found = cameraDrivers.get(ip);
+  if (!found) {
+    found = await detectDriver(ip, auth, cameraHttp);
+    cameraDrivers.set(ip, found);
   }
-  return r;
+  return createDriver(found, ip, auth, cameraHttp);
 }
 
-/* ── Connect & fetch all config ───────────────────────────────────────────── */
-ipcMain.handle('camera:connect', async (_, ip, auth = null) => {
-  console.log('[camera:connect] Attempting to connect to:', ip, auth ? '(with auth)' : '(no auth)');
-  if (ip === 'mock') {
-    console.log('[camera:connect] Using MOCK mode');
-    return { success: true, info: MOCK_DATA.info, config: { ...MOCK_DATA.config } };
+// { success: true, ...whatever fn resolves to } or { success: false, error }
+async function withDriver(ip, auth, fn) {
+  try { return { success: true, ...await fn(await driverFor(ip, auth)) }; }
+  catch (err) {
+    forgetStaleDriver(ip, err);
+    return { success: false, error: err.message };
   }
-  try {
-    let info = {};
-    let hadAnyResponse = false;
-    let errors = [];
+}
 
-    // Try to get device info first
-    try {
-      console.log('[camera:connect] Fetching device config...');
-      const deviceConf = await httpGet(ip, '/cgi-bin/param.cgi?get_device_conf', 4000, auth);
-      info = parse(deviceConf);
-      hadAnyResponse = true;
-      console.log('[camera:connect] Device config retrieved successfully');
-    } catch (e) {
-      console.log('[camera:connect] Device config failed:', e.message);
-      errors.push(`Device config: ${e.message}`);
-      // Device conf might not be available on all models, continue
-    }
+function forgetStaleDriver(ip, err) {
+  if (DRIVER_STALE_ERROR.test(err.message) && cameraDrivers.delete(ip)) console.log(`[drivers] ${ip}: ${err.message} — will detect again`);
+}
 
-    // Fetch camera settings
-    const [img, exp, foc] = await Promise.all([
-      httpGet(ip, '/cgi-bin/param.cgi?get_image_conf', 4000, auth).then(r => { hadAnyResponse = true; return r; }).catch(e => { errors.push(`Image conf: ${e.message}`); return ''; }),
-      httpGet(ip, '/cgi-bin/param.cgi?get_exposure_conf', 4000, auth).then(r => { hadAnyResponse = true; return r; }).catch(e => { errors.push(`Exposure conf: ${e.message}`); return ''; }),
-      httpGet(ip, '/cgi-bin/param.cgi?get_focus_conf', 4000, auth).then(r => { hadAnyResponse = true; return r; }).catch(e => { errors.push(`Focus conf: ${e.message}`); return ''; })
+/* ── Connect & fetch all config ───────────────────────────────────────────── */
+// `kind` is a driver from drivers.js, or 'auto' to detect it. info carries the
+// driver's capabilities and image params so the renderer can hide the rest.
+ipcMain.handle('camera:connect', async (_, ip, auth = null, kind = 'auto') => {
+  console.log('[camera:connect] Attempting to connect to:', ip, auth ? '(with auth)' : '(no auth)', `driver: ${kind}`);
+  try {
+    auth = resolveAuth(auth);
+    cameraDrivers.delete(ip);
+    const found = await detectDriver(ip, auth, cameraHttp, kind);
+    cameraDrivers.set(ip, found);
+    const driver = createDriver(found, ip, auth, cameraHttp);
+    console.log(`[camera:connect] ${ip} uses the ${driver.constructor.label} driver`);
+
+    // Device info and settings might not be available on all models, continue without them
+    const [info, config] = await Promise.all([
+      driver.info().catch(e => { console.log('[camera:connect] Device info failed:', e.message); return {}; }),
+      driver.readSettings().catch(e => { console.log('[camera:connect] Settings failed:', e.message); return {}; })
     ]);
 
-    // If we got no response at all, the camera is unreachable
-    if (!hadAnyResponse) {
-      console.log('[camera:connect] No responses received. Errors:', errors);
-      const firstError = errors[0] || 'Camera unreachable - check IP address and network connection';
-      return { success: false, error: firstError };
-    }
-
     console.log('[camera:connect] Successfully connected to:', ip);
     return { success: true,
-      info: { model: info.device_model || info.model || 'PTZOptics Move SE', serial: info.serial_number || info.sn || 'N/A', firmware: info.firmware_version || info.fw || 'N/A' },
-      config: { ...parse(img), ...parse(exp), ...parse(foc) }
+      info: {
+        model: driver.constructor.label, serial: 'N/A', firmware: 'N/A', ...info,
+        driver: found.kind, driverLabel: driver.constructor.label, capabilities: driver.capabilities, params: driver.params
+      },
+      config
     };
   } catch (err) {
     return { success: false, error: err.message || 'Connection failed' };
   }
 });
 
-ipcMain.handle('camera:getSettings', async (_, ip, auth = null) => {
-  if (ip === 'mock') return { success: true, config: { ...MOCK_DATA.config } };
-  try {
-    const [img, exp, foc] = await Promise.all([
-      httpGet(ip, '/cgi-bin/param.cgi?get_image_conf', 4000, auth).catch(() => ''),
-      httpGet(ip, '/cgi-bin/param.cgi?get_exposure_conf', 4000, auth).catch(() => ''),
-      httpGet(ip, '/cgi-bin/param.cgi?get_focus_conf', 4000, auth).catch(() => '')
-    ]);
-    return { success: true, config: { ...parse(img), ...parse(exp), ...parse(foc) } };
-  } catch (err) { return { success: false, error: err.message }; }
-});
+ipcMain.handle('camera:getSettings', async (_, ip, auth = null) =>
+  withDriver(ip, auth, async d => ({ config: await d.readSettings() })));
 
-/* ── Set parameters via post_image_value (G3 API) ─────────────────────────── */
-// All image/exposure/color/focus settings use: GET /cgi-bin/ptzctrl.cgi?post_image_value&param&value
-ipcMain.handle('camera:setImageParam', async (_, ip, params, auth = null) => {
-  if (ip === 'mock') { Object.assign(MOCK_DATA.config, params); return { success: true }; }
-  try {
-    for (const [k, v] of Object.entries(params)) {
-      await httpGet(ip, `/cgi-bin/ptzctrl.cgi?post_image_value&${k}&${v}`, 4000, auth);
-    }
-    return { success: true };
-  } catch (err) {
-    return { success: false, error: err.message };
-  }
-});
+/* ── Set image/exposure/colour/focus parameters ───────────────────────────── */
+// params: { apiName: value } in post_image_value names, whatever the driver
+for (const channel of ['camera:setImageParam', 'camera:setExposureParam', 'camera:setFocusParam']) {
+  ipcMain.handle(channel, async (_, ip, params, auth = null) => withDriver(ip, auth, async d => {
+    for (const [k, v] of Object.entries(params)) await d.setImageValue(k, v);
+  }));
+}
 
-ipcMain.handle('camera:setExposureParam', async (_, ip, params, auth = null) => {
-  if (ip === 'mock') { Object.assign(MOCK_DATA.config, params); return { success: true }; }
-  try {
-    for (const [k, v] of Object.entries(params)) {
-      await httpGet(ip, `/cgi-bin/ptzctrl.cgi?post_image_value&${k}&${v}`, 4000, auth);
-    }
-    return { success: true };
-  } catch (err) {
-    return { success: false, error: err.message };
-  }
-});
+/* ── PTZ movement ─────────────────────────────────────────────────────────── */
+ipcMain.handle('camera:ptz', async (_, ip, cmd, s1 = 5, s2 = 5, auth = null) =>
+  withDriver(ip, auth, d => d.ptz(cmd, s1, s2)));
 
-ipcMain.handle('camera:setFocusParam', async (_, ip, params, auth = null) => {
-  if (ip === 'mock') { Object.assign(MOCK_DATA.config, params); return { success: true }; }
-  try {
-    for (const [k, v] of Object.entries(params)) {
-      await httpGet(ip, `/cgi-bin/ptzctrl.cgi?post_image_value&${k}&${v}`, 4000, auth);
-    }
-    return { success: true };
-  } catch (err) {
-    return { success: false, error: err.message };
-  }
-});
+ipcMain.handle('camera:zoom', async (_, ip, dir, spd = 3, auth = null) =>
+  withDriver(ip, auth, d => d.zoom(dir, spd)));
 
-/* ── PTZ movement ─────────────────────────────────────────────────────────── */
-ipcMain.handle('camera:ptz', async (_, ip, cmd, s1 = 5, s2 = 5, auth = null) => {
-  try {
-    if (ip === 'mock') {
-      const speed = (parseInt(s1) || 5) * 2;
-      if (cmd === 'up') mockPtz.tilt = Math.min(50, mockPtz.tilt + speed);
-      if (cmd === 'down') mockPtz.tilt = Math.max(-50, mockPtz.tilt - speed);
-      if (cmd === 'left') mockPtz.pan = Math.max(-100, mockPtz.pan - speed);
-      if (cmd === 'right') mockPtz.pan = Math.min(100, mockPtz.pan + speed);
-      if (cmd === 'upleft') { mockPtz.tilt += speed; mockPtz.pan -= speed; }
-      if (cmd === 'upright') { mockPtz.tilt += speed; mockPtz.pan += speed; }
-      if (cmd === 'downleft') { mockPtz.tilt -= speed; mockPtz.pan -= speed; }
-      if (cmd === 'downright') { mockPtz.tilt -= speed; mockPtz.pan += speed; }
-      if (cmd === 'home') { mockPtz.pan = 0; mockPtz.tilt = 0; }
-      if (cmd === 'ptzstop') { /* stop momentum */ }
-      return { success: true };
-    }
-    
-    let urlPath = `/cgi-bin/ptzctrl.cgi?ptzcmd&${cmd}`;
-    if (cmd.toLowerCase() === 'home') {
-      // Home command takes no arguments
-    } else if (cmd.toLowerCase().startsWith('pos')) {
-      // Presets (posset/poscall) take only one argument (position number)
-      urlPath += `&${s1}`;
-    } else {
-      // Pan/Tilt commands take pan speed and tilt speed
-      urlPath += `&${s1}&${s2}`;
-    }
+ipcMain.handle('camera:focus', async (_, ip, cmd, speed = 3, auth = null) =>
+  withDriver(ip, auth, d => d.focus(cmd, speed)));
 
-    const response = await httpGet(ip, urlPath, 4000, auth);
+/* ── Snapshot ─────────────────────────────────────────────────────────────── */
+ipcMain.handle('camera:snapshot', async (_, ip, auth = null) =>
+  withDriver(ip, auth, async d => ({ data: (await d.snapshot()).toString('base64') })));
 
-    // Check for error responses
-    if (response.includes('401') || response.includes('Unauthorized')) {
-      return { success: false, error: 'Authentication required for PTZ control' };
-    }
+/* ── Live feed (MJPEG pushed to the renderer over a MessagePort) ──────────── */
+// MJPEG path differs between firmware generations — the driver lists them, the first multipart response wins
+const liveFeeds = new Map(); // camId → { res, port, frames }
 
-    return { success: true };
-  }
-  catch (err) {
-    return { success: false, error: err.message };
-  }
-});
+function openMjpeg(ip, auth, paths) {
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const tryPath = (n, lastErr) => {
+      if (n >= paths.length) { settled = true; return reject(lastErr || new Error('No MJPEG stream')); }
+      authGet(ip, paths[n], 5000, auth, res => {
+        if (settled) { res.destroy(); return; }
+        if (res.statusCode === 200 && /multipart\/x-mixed-replace/i.test(res.headers['content-type'] || '')) {
+          settled = true;
+          return resolve(res);
+        }
+        res.resume();
+        tryPath(n + 1, new Error(`${paths[n]}: HTTP ${res.statusCode}`));
+      }, err => {
+        // authGet also reports idle timeouts after the stream is open — those end the stream instead
+        if (!settled) tryPath(n + 1, err);
+      });
+    };
+    tryPath(0);
+  });
+}
 
-ipcMain.handle('camera:zoom', async (_, ip, dir, spd = 3, auth = null) => {
-  try {
-    if (ip === 'mock') { return { success: true }; }
-    await httpGet(ip, `/cgi-bin/ptzctrl.cgi?ptzcmd&${dir}&${spd}`, 4000, auth);
-    return { success: true };
-  }
-  catch (err) {
-    return { success: false, error: err.message };
-  }
-});
+function stopLiveFeed(camId) {
+  const feed = liveFeeds.get(camId);
+  if (!feed) return;
+  liveFeeds.delete(camId);
+  feed.res.destroy();
+  feed.port.close();
+}
 
-ipcMain.handle('camera:focus', async (_, ip, cmd, auth = null) => {
+ipcMain.handle('feed:start', async (e, camId, ip, auth = null) => {
+  stopLiveFeed(camId);
+  let res;
   try {
-    if (ip === 'mock') { return { success: true }; }
-    // Focus commands require a speed (1-7). Defaulting to 3.
-    await httpGet(ip, `/cgi-bin/ptzctrl.cgi?ptzcmd&${cmd}&3`, 4000, auth);
-    return { success: true };
+    const driver = await driverFor(ip, auth);
+    res = await openMjpeg(ip, driver.auth, driver.mjpegPaths());
   }
   catch (err) {
+    forgetStaleDriver(ip, err);
     return { success: false, error: err.message };
   }
+
+  const { port1, port2 } = new MessageChannelMain();
+  const feed = { res, port: port1, frames: 0 };
+  liveFeeds.set(camId, feed);
+
+  const parser = new MjpegParser(boundaryOf(res.headers['content-type']) || 'myboundary', (buf, type) => {
+    feed.frames++;
+    // Raw ArrayBuffer, no base64 — the renderer wraps it in a Blob
+    port1.postMessage({ frame: buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.length), type });
+  });
+  res.on('data', chunk => parser.push(chunk));
+  res.on('close', () => {
+    if (liveFeeds.get(camId) !== feed) return; // stopped on request
+    liveFeeds.delete(camId);
+    port1.postMessage({ end: true, frames: feed.frames });
+    port1.close();
+  });
+
+  e.sender.postMessage('feed:port', { camId }, [port2]);
+  return { success: true };
 });
 
-/* ── Snapshot ─────────────────────────────────────────────────────────────── */
-ipcMain.handle('camera:snapshot', async (_, ip, auth = null) => {
-  try {
-    if (ip === 'mock') {
-      // Generate dynamic SVG based on mockPtz state
-      // Subject is a red circle at world (0,0). Camera view is offset by mockPtz.
-      // Viewport is 320x240. Center is (160, 120).
-      // If pan=0, tilt=0, circle is at 160,120.
-      const cx = 160 - mockPtz.pan * 2;
-      const cy = 120 + mockPtz.tilt * 2; // Tilt up means camera moves up, subject moves down
-      const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="320" height="240" viewBox="0 0 320 240"><rect width="320" height="240" fill="#222"/><circle cx="${cx}" cy="${cy}" r="30" fill="#ff4444"/><text x="10" y="20" fill="#666" font-family="monospace">MOCK FEED</text><text x="10" y="230" fill="#666" font-family="monospace">Pos: ${mockPtz.pan},${mockPtz.tilt}</text></svg>`;
-      return { success: true, data: Buffer.from(svg).toString('base64'), mime: 'image/svg+xml' };
-    }
-    // Try /cgi-bin/snapshot.cgi (most models), fall back to /snapshot.jpg (G3)
-    let buf;
-    try {
-      buf = await httpGetBinary(ip, '/cgi-bin/snapshot.cgi', 5000, auth);
-    } catch (e) {
-      buf = await httpGetBinary(ip, '/snapshot.jpg', 5000, auth);
-    }
+ipcMain.handle('feed:stop', async (_, camId) => {
+  stopLiveFeed(camId);
+  return { success: true };
+});
 
-    // Check if response is too small to be a real image (likely an error page)
-    if (buf.length < 1000) {
-      const textResponse = buf.toString('utf8');
+/* ── Recording (WebM chunks appended to disk, sidecar JSON log) ─────────── */
+const recordingFiles = new Map(); // id → { stream, base, error }
+let recordingId = 0;
+
+// A failed open or write (EACCES, ENOSPC…) is kept on the entry and reported by
+// the next write or close, rather than surfacing as an uncaught stream error
+function openFileStream(file, entry) {
+  entry.error = null;
+  entry.stream = fs.createWriteStream(file);
+  entry.stream.on('error', err => {
+    if (!entry.error) console.error(`[files] ${file}: ${err.message}`);
+    entry.error = err;
+  });
+  return entry;
+}
 
-      // Check if it's an HTML error page (401, 404, etc.)
-      if (textResponse.includes('<!DOCTYPE') || textResponse.includes('<html')) {
-        if (textResponse.includes('401') || textResponse.includes('Unauthorized')) {
-          return { success: false, error: 'Authentication required for snapshots' };
-        }
-        return { success: false, error: 'Camera returned error page instead of image' };
-      }
-    }
+// Waits for 'drain' when the stream's buffer is full, so a slow disk holds the writer back
+async function writeFileStream(entry, data) {
+  if (entry.error) throw entry.error;
+  if (!entry.stream.write(data)) await once(entry.stream, 'drain');
+  if (entry.error) throw entry.error;
+}
 
-    return { success: true, data: buf.toString('base64') };
-  } catch (err) {
-    return { success: false, error: err.message };
+function endFileStream(entry) {
+  if (entry.error) {
+    entry.stream.destroy();
+    return Promise.reject(entry.error);
   }
+  return new Promise((resolve, reject) => { entry.stream.once('error', reject); entry.stream.end(resolve); });
+}
+
+ipcMain.handle('rec:chooseFolder', async () => {
+  const r = await dialog.showOpenDialog(mainWindow, { title: 'Recording folder', properties: ['openDirectory', 'createDirectory'] });
+  return r.canceled ? { success: false } : { success: true, folder: r.filePaths[0] };
 });
 
-/* ── Bulk sync (sends each param via post_image_value) ─────────────────── */
-ipcMain.handle('camera:syncAll', async (_, ip, imgP, expP, focP, auth = null) => {
+// name: "<camera>_<timestamp>" — written as <name>.webm with <name>.json beside it
+ipcMain.handle('rec:open', async (_, folder, name) => {
   try {
-    if (ip === 'mock') { Object.assign(MOCK_DATA.config, imgP, expP, focP); return { success: true }; }
-    const allParams = { ...imgP, ...expP, ...focP };
-    for (const [k, v] of Object.entries(allParams)) {
-      if (v === undefined || v === null) continue;
-      await httpGet(ip, `/cgi-bin/ptzctrl.cgi?post_image_value&${k}&${v}`, 4000, auth).catch(() => null);
-    }
-    return { success: true };
+    fs.mkdirSync(folder, { recursive: true });
+    const base = path.join(folder, name.replace(/[\\/:*?"<>|]+/g, '_'));
+    const id = ++recordingId;
+    recordingFiles.set(id, openFileStream(`${base}.webm`, { base }));
+    return { success: true, id, file: `${base}.webm` };
   } catch (err) { return { success: false, error: err.message }; }
 });
 
-/* ── Extended Features (G3) ───────────────────────────────────────────────── */
-ipcMain.handle('camera:setFocusLock', async (_, ip, lock, auth = null) => {
+ipcMain.handle('rec:write', async (_, id, chunk) => {
+  const r = recordingFiles.get(id);
+  if (!r) return { success: false, error: 'Recording is not open' };
   try {
-    if (ip === 'mock') return { success: true };
-    const cmd = lock ? 'lock_mfocus' : 'unlock_mfocus';
-    await httpGet(ip, `/cgi-bin/param.cgi?ptzcmd&${cmd}`, 4000, auth);
+    await writeFileStream(r, Buffer.from(chunk));
     return { success: true };
   } catch (err) { return { success: false, error: err.message }; }
 });
 
-ipcMain.handle('camera:ptzReset', async (_, ip, auth = null) => {
+ipcMain.handle('rec:close', async (_, id, log) => {
+  const r = recordingFiles.get(id);
+  if (!r) return { success: false, error: 'Recording is not open' };
+  recordingFiles.delete(id);
   try {
-    if (ip === 'mock') return { success: true };
-    await httpGet(ip, '/cgi-bin/param.cgi?pan_tiltdrive_reset', 4000, auth);
-    return { success: true };
+    await endFileStream(r);
+    fs.writeFileSync(`${r.base}.json`, JSON.stringify(log, null, 2));
+    return { success: true, file: `${r.base}.webm` };
   } catch (err) { return { success: false, error: err.message }; }
 });
 
-ipcMain.handle('camera:zoomTo', async (_, ip, position, speed = 7, auth = null) => {
+/* ── Tracking telemetry (session folder: session.json, telemetry.ndjson, frames/) ── */
+const telemetryFiles = new Map(); // id → { stream, dir, error }
+let telemetryId = 0;
+
+ipcMain.handle('telemetry:open', async (_, folder, name, session) => {
   try {
-    if (ip === 'mock') return { success: true };
-    // position expected as decimal 0-16384, converted to 4-digit hex
-    const posHex = Math.max(0, Math.min(16384, Number(position))).toString(16).padStart(4, '0');
-    await httpGet(ip, `/cgi-bin/ptzctrl.cgi?ptzcmd&zoomto&${speed}&${posHex}`, 4000, auth);
-    return { success: true };
+    const dir = path.join(folder, name.replace(/[\\/:*?"<>|]+/g, '_'));
+    fs.mkdirSync(path.join(dir, 'frames'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'session.json'), JSON.stringify(session, null, 2));
+    const id = ++telemetryId;
+    telemetryFiles.set(id, openFileStream(path.join(dir, 'telemetry.ndjson'), { dir }));
+    return { success: true, id, dir };
   } catch (err) { return { success: false, error: err.message }; }
 });
 
-ipcMain.handle('camera:setOsdState', async (_, ip, open, auth = null) => {
+// One tracking iteration: a JSON line, plus its input frame when given
+ipcMain.handle('telemetry:write', async (_, id, record, frame) => {
+  const t = telemetryFiles.get(id);
+  if (!t) return { success: false, error: 'Telemetry session is not open' };
   try {
-    if (ip === 'mock') return { success: true };
-    const mode = open ? 'OSD' : 'PTZ';
-    await httpGet(ip, `/cgi-bin/param.cgi?navigate_mode&${mode}`, 4000, auth);
+    if (t.error) throw t.error;
+    if (frame && record.frame) await fs.promises.writeFile(path.join(t.dir, 'frames', path.basename(record.frame)), Buffer.from(frame));
+    await writeFileStream(t, JSON.stringify(record) + '\n');
     return { success: true };
   } catch (err) { return { success: false, error: err.message }; }
 });
 
-ipcMain.handle('camera:osdNavigate', async (_, ip, cmd, auth = null) => {
+// summary is merged into session.json (stop time, iteration count, metrics)
+ipcMain.handle('telemetry:close', async (_, id, summary) => {
+  const t = telemetryFiles.get(id);
+  if (!t) return { success: false, error: 'Telemetry session is not open' };
+  telemetryFiles.delete(id);
   try {
-    if (ip === 'mock') return { success: true };
-    // cmd: up, down, left, right, confirm, osd_back
-    await httpGet(ip, `/cgi-bin/ptzctrl.cgi?ptzcmd&${cmd}`, 4000, auth);
-    return { success: true };
+    await endFileStream(t);
+    const file = path.join(t.dir, 'session.json');
+    fs.writeFileSync(file, JSON.stringify({ ...JSON.parse(fs.readFileSync(file, 'utf8')), ...summary }, null, 2));
+    return { success: true, dir: t.dir };
   } catch (err) { return { success: false, error: err.message }; }
 });
 
-ipcMain.handle('camera:setAutoTracking', async (_, ip, enabled, auth = null) => {
+function loadTelemetry(dir) {
+  const session = JSON.parse(fs.readFileSync(path.join(dir, 'session.json'), 'utf8'));
+  const records = [];
+  for (const line of fs.readFileSync(path.join(dir, 'telemetry.ndjson'), 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try { records.push(JSON.parse(line)); } catch { /* last line of an interrupted capture */ }
+  }
+  return { session, records };
+}
+
+ipcMain.handle('telemetry:load', async (_, dir = null) => {
+  if (!dir) {
+    const r = await dialog.showOpenDialog(mainWindow, { title: 'Open tracking session', properties: ['openDirectory'] });
+    if (r.canceled) return { success: false };
+    dir = r.filePaths[0];
+  }
   try {
-    if (ip === 'mock') return { success: true };
-    // Try G3 endpoint first, fall back to G2
-    const g3Val = enabled ? 'on' : 'off';
-    try {
-      await httpGet(ip, `/cgi-bin/param.cgi?set_overlay&autotracking&${g3Val}`, 4000, auth);
-      return { success: true };
-    } catch (e) {
-      const g2Val = enabled ? 2 : 3;
-      await httpGet(ip, `/cgi-bin/ptzctrl.cgi?post_image_value&autotrack&${g2Val}`, 4000, auth);
-      return { success: true };
-    }
-  } catch (err) { return { success: false, error: err.message }; }
+    return { success: true, dir, ...loadTelemetry(dir) };
+  } catch (err) { return { success: false, error: `Not a tracking session: ${err.message}` }; }
 });
 
-ipcMain.handle('camera:saveSnapshot', async (_, ip, auth = null) => {
+ipcMain.handle('telemetry:frame', async (_, dir, name) => {
   try {
-    if (ip === 'mock') return { success: false, error: 'Snapshots not available in mock mode' };
-    let buf;
-    try {
-      buf = await httpGetBinary(ip, '/cgi-bin/snapshot.cgi', 5000, auth);
-    } catch (e) {
-      buf = await httpGetBinary(ip, '/snapshot.jpg', 5000, auth);
-    }
-    if (buf.length < 1000) {
-      const text = buf.toString('utf8');
-      if (text.includes('<!DOCTYPE') || text.includes('<html')) {
-        return { success: false, error: 'Authentication required or endpoint not supported' };
-      }
-    }
-    return { success: true, data: buf.toString('base64'), mime: 'image/jpeg' };
+    const file = path.join(dir, 'frames', path.basename(name));
+    const mime = file.endsWith('.png') ? 'image/png' : 'image/jpeg';
+    return { success: true, mime, data: fs.readFileSync(file).toString('base64') };
   } catch (err) { return { success: false, error: err.message }; }
 });
 
-ipcMain.handle('camera:getSystemConfig', async (_, ip, auth = null) => {
+// Replay results are kept beside the session they came from
+ipcMain.handle('telemetry:report', async (_, dir, report) => {
   try {
-    if (ip === 'mock') return { success: true, config: {} };
-    const [net, srv, usr, trans] = await Promise.all([
-      httpGet(ip, '/cgi-bin/param.cgi?get_network_conf', 4000, auth).catch(() => ''),
-      httpGet(ip, '/cgi-bin/param.cgi?get_server_conf', 4000, auth).catch(() => ''),
-      httpGet(ip, '/cgi-bin/param.cgi?get_user_conf', 4000, auth).catch(() => ''),
-      httpGet(ip, '/cgi-bin/param.cgi?get_trans_conf', 4000, auth).catch(() => '')
-    ]);
-    return { success: true, config: { network: parse(net), server: parse(srv), user: parse(usr), trans: parse(trans) } };
+    const file = path.join(dir, `replay_${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+    fs.writeFileSync(file, JSON.stringify(report, null, 2));
+    return { success: true, file };
   } catch (err) { return { success: false, error: err.message }; }
 });
 
+/* ── Verified sync ────────────────────────────────────────────────────────── */
+// Writes each param through the camera's driver, reads the camera back and retries
+// the ones that didn't stick. `params` is an ordered { apiName: value } (mode params
+// first); the result has one entry per param with the value it had before, so a
+// partially applied camera can be rolled back by syncing those values again.
+// Params the driver has no equivalent for are reported 'unsupported' and skipped.
+const SYNC_RETRIES = 2;
+const SYNC_SETTLE_MS = 300;  // cameras apply some values a moment after acknowledging them
+
+// A dropped read would look like params the camera doesn't report, so each group
+// is retried and any that still fails rejects the whole read
+function readBack(driver) {
+  return driver.readSettings({ retries: SYNC_RETRIES, strict: true });
+}
+
+async function syncCamera(driver, params) {
+  const before = await readBack(driver).catch(err => { throw new Error(`Could not read current settings: ${err.message}`); });
+  const results = [];
+  for (const [param, raw] of Object.entries(params)) {
+    if (raw === undefined || raw === null || raw === '') continue;
+    const key = CFG_KEY[param] || param;
+    const value = isNaN(raw) ? raw : Number(raw);
+    if (!driver.supportsParam(key)) {
+      results.push({ param, key, value, before: undefined, actual: undefined, status: 'unsupported', attempts: 0, error: `Not available through ${driver.constructor.label}` });
+      continue;
+    }
+    // Values the camera already has are verified by the snapshot and not written
+    const status = before[key] === value ? 'same' : 'pending';
+    results.push({ param, key, value, before: before[key], actual: before[key], status, attempts: 0, error: null });
+  }
+
+  let pending = results.filter(r => r.status === 'pending');
+  for (let pass = 0; pass <= SYNC_RETRIES && pending.length; pass++) {
+    for (const r of pending) {
+      r.attempts++;
+      try {
+        await driver.setImageValue(r.param, r.value);
+        r.error = null;
+      } catch (err) { r.error = err.message; }
+    }
+    await new Promise(res => setTimeout(res, SYNC_SETTLE_MS));
+    const after = await readBack(driver).catch(() => null);
+    for (const r of pending) {
+      // Unreadable: leave it failed so the next pass writes and checks again
+      if (!after) { r.status = 'failed'; r.error ||= 'Could not read the camera back'; continue; }
+      r.actual = after[r.key];
+      // A camera that doesn't report a param can't be verified; trust an accepted write
+      if (r.actual === undefined) r.status = r.error ? 'failed' : 'unverified';
+      else r.status = r.actual === r.value ? 'ok' : 'failed';
+      if (r.status === 'ok') r.error = null;
+    }
+    pending = pending.filter(r => r.status === 'failed');
+  }
+  for (const r of pending) r.error ||= `Camera reports ${r.actual ?? 'nothing'}`;
+  return results;
+}
+
+ipcMain.handle('camera:syncAll', async (_, ip, params, auth = null) => {
+  try {
+    const results = await syncCamera(await driverFor(ip, auth), params);
+    const failed = results.filter(r => r.status === 'failed').length;
+    return { success: failed === 0, results, error: failed ? `${failed} of ${results.length} settings did not apply` : null };
+  } catch (err) {
+    forgetStaleDriver(ip, err);
+    return { success: false, results: [], error: err.message };
+  }
+});
+
+/* ── Extended Features ────────────────────────────────────────────────────── */
+ipcMain.handle('camera:setFocusLock', async (_, ip, lock, auth = null) =>
+  withDriver(ip, auth, d => d.setFocusLock(lock)));
+
+ipcMain.handle('camera:ptzReset', async (_, ip, auth = null) =>
+  withDriver(ip, auth, d => d.ptzReset()));
+
+// position 0-16384
+ipcMain.handle('camera:zoomTo', async (_, ip, position, speed = 7, auth = null) =>
+  withDriver(ip, auth, d => d.zoomTo(position, speed)));
+
+ipcMain.handle('camera:setOsdState', async (_, ip, open, auth = null) =>
+  withDriver(ip, auth, d => d.setOsd(open)));
+
+// cmd: up, down, left, right, confirm, osd_back
+ipcMain.handle('camera:osdNavigate', async (_, ip, cmd, auth = null) =>
+  withDriver(ip, auth, d => d.osdNavigate(cmd)));
+
+ipcMain.handle('camera:setAutoTracking', async (_, ip, enabled, auth = null) =>
+  withDriver(ip, auth, d => d.setAutoTracking(enabled)));
+
+ipcMain.handle('camera:saveSnapshot', async (_, ip, auth = null) =>
+  withDriver(ip, auth, async d => ({ data: (await d.snapshot()).toString('base64'), mime: 'image/jpeg' })));
+
+ipcMain.handle('camera:getSystemConfig', async (_, ip, auth = null) =>
+  withDriver(ip, auth, async d => ({ config: await d.systemConfig() })));
+
 ipcMain.handle('camera:getVideoUrl', (_, ip, index = 1) => {
   return `http://${ip}/video${index}.mp4`;
 });
 
 /* ── Video / Stream Configuration (SE-focused) ───────────────────────────── */
-ipcMain.handle('camera:getVideoConfig', async (_, ip, auth = null) => {
-  try {
-    if (ip === 'mock') return { success: true, config: {} };
-    const [video, audio] = await Promise.all([
-      httpGet(ip, '/cgi-bin/param.cgi?get_media_video', 4000, auth).catch(() => ''),
-      httpGet(ip, '/cgi-bin/param.cgi?get_media_audio', 4000, auth).catch(() => '')
-    ]);
-    return { success: true, config: { ...parse(video), ...parse(audio) } };
-  } catch (err) { return { success: false, error: err.message }; }
-});
+ipcMain.handle('camera:getVideoConfig', async (_, ip, auth = null) =>
+  withDriver(ip, auth, async d => ({ config: await d.videoConfig() })));
 
-ipcMain.handle('camera:setVideoParam', async (_, ip, params, auth = null) => {
+ipcMain.handle('camera:setVideoParam', async (_, ip, params, auth = null) =>
+  withDriver(ip, auth, d => d.setVideoParams(params)));
+
+ipcMain.handle('camera:setAudioParam', async (_, ip, params, auth = null) =>
+  withDriver(ip, auth, d => d.setAudioParams(params)));
+
+ipcMain.handle('camera:setImageValue', async (_, ip, param, value, auth = null) =>
+  withDriver(ip, auth, d => d.setImageValue(param, value)));
+
+ipcMain.handle('camera:setOverlay', async (_, ip, param, value, auth = null) =>
+  withDriver(ip, auth, d => d.setOverlay(param, value)));
+
+ipcMain.handle('camera:setTrackPreset', async (_, ip, value, auth = null) =>
+  withDriver(ip, auth, d => d.setTrackPreset(value)));
+
+ipcMain.handle('camera:setNetworkParam', async (_, ip, params, auth = null) =>
+  withDriver(ip, auth, d => d.setNetworkParams(params)));
+
+ipcMain.handle('camera:setIRChannel', async (_, ip, channel, auth = null) =>
+  withDriver(ip, auth, d => d.setIRChannel(channel)));
+
+ipcMain.handle('camera:reboot', async (_, ip, auth = null) =>
+  withDriver(ip, auth, d => d.reboot()));
+
+/* ── VISCA-over-IP client (sequenced, ACK/Completion aware) ──────────────── */
+const viscaClients = new Map();
+
+// Camera addresses may carry an HTTP port (e.g. simulated cameras); VISCA only needs the host
+function hostOf(ip) {
+  return String(ip).split(':')[0];
+}
+
+function getVisca(ip, port = 1259) {
+  const key = `${hostOf(ip)}:${port}`;
+  if (!viscaClients.has(key)) viscaClients.set(key, new ViscaClient(hostOf(ip), port));
+  return viscaClients.get(key);
+}
+
+ipcMain.handle('visca:command', async (_, ip, name, args = [], port = 1259) => {
+  if (!VISCA_COMMANDS.includes(name)) return { success: false, error: `Unknown VISCA command: ${name}` };
   try {
-    if (ip === 'mock') return { success: true };
-    const q = Object.entries(params).map(([k, v]) => `${k}=${v}`).join('&');
-    await httpPost(ip, `/cgi-bin/param.cgi?post_media_video&${q}`, 4000, auth);
+    await getVisca(ip, port)[name](...args);
     return { success: true };
   } catch (err) { return { success: false, error: err.message }; }
 });
 
-ipcMain.handle('camera:setAudioParam', async (_, ip, params, auth = null) => {
+ipcMain.handle('visca:position', async (_, ip, port = 1259) => {
   try {
-    if (ip === 'mock') return { success: true };
-    const q = Object.entries(params).map(([k, v]) => `${k}=${v}`).join('&');
-    await httpPost(ip, `/cgi-bin/param.cgi?post_media_audio&${q}`, 4000, auth);
-    return { success: true };
+    return { success: true, position: await getVisca(ip, port).position() };
   } catch (err) { return { success: false, error: err.message }; }
 });
 
-ipcMain.handle('camera:setImageValue', async (_, ip, param, value, auth = null) => {
+/* ── Saved collections (arrays of { id, ... } records, persisted as JSON) ── */
+// Registers <name>:list, <name>:save (upsert by id) and <name>:delete;
+// `onChange` runs after every write
+function registerCollection(name, onChange = null) {
+  ipcMain.handle(`${name}:list`, async () => readStore(name, []));
+
+  ipcMain.handle(`${name}:save`, async (_, item) => {
+    try {
+      const items = readStore(name, []);
+      const idx = items.findIndex(x => x.id === item.id);
+      if (idx >= 0) items[idx] = item; else items.push(item);
+      writeStore(name, items);
+      if (onChange) onChange(items);
+      return { success: true, [name]: items };
+    } catch (err) { return { success: false, error: err.message }; }
+  });
+
+  ipcMain.handle(`${name}:delete`, async (_, id) => {
+    try {
+      const items = readStore(name, []).filter(x => x.id !== id);
+      writeStore(name, items);
+      if (onChange) onChange(items);
+      return { success: true, [name]: items };
+    } catch (err) { return { success: false, error: err.message }; }
+  });
+}
+
+registerCollection('looks');   // named full-config image snapshots
+registerCollection('macros');  // PTZ macros and tours
+registerCollection('shotProfiles'); // user-defined AI tracking shot profiles
+registerCollection('schedules', schedulesChanged); // timed and weekly actions (see Scheduler)
+
+/* ── VISCA ────────────────────────────────────────────────────────────────── */
+function viscaSend(ip, hexCmd, port = 1259) {
+  return new Promise(resolve => {
+    try {
+      const client = dgram.createSocket('udp4');
+      const buf = Buffer.from(hexCmd, 'hex');
+      const t = setTimeout(() => { client.close(); resolve({ success: false, error: 'timeout' }); }, 2000);
+      client.on('message', msg => { clearTimeout(t); client.close(); resolve({ success: true, response: msg.toString('hex') }); });
+      client.send(buf, port, ip, err => { if (err) { clearTimeout(t); client.close(); resolve({ success: false, error: err.message }); } });
+    } catch (err) { resolve({ success: false, error: err.message }); }
+  });
+}
+
+ipcMain.handle('camera:visca', async (_, ip, hexCmd, port = 1259) => viscaSend(ip, hexCmd, port));
+
+// Preset recall speed has no CGI equivalent — PTZOptics exposes it as VISCA 81 01 06 01 pp FF (pp 0x01-0x18),
+// so it goes over VISCA whichever transport the camera's other controls use
+ipcMain.handle('camera:setPresetSpeed', async (_, ip, speed, port = 1259) => {
   try {
-    if (ip === 'mock') return { success: true };
-    await httpGet(ip, `/cgi-bin/ptzctrl.cgi?post_image_value&${param}&${value}`, 4000, auth);
+    await getVisca(ip, port).presetSpeed(parseInt(speed) || 24);
     return { success: true };
   } catch (err) { return { success: false, error: err.message }; }
 });
 
-ipcMain.handle('camera:setOverlay', async (_, ip, param, value, auth = null) => {
+/* ── Camera simulator (forked child process, see simulator.js) ─────────── */
+let simulator = null;
+let simResponders = null;  // { wsdPort, ssdpPort } of its discovery stand-ins
+let simReqId = 0;
+const simPending = new Map();
+
+function startSimulator() {
+  if (simulator) return simulator;
+  simulator = fork(path.join(__dirname, 'simulator.js'), [
+    '--cameras', '0',
+    '--auth', 'digest-md5,digest-sha256,authn,basic',  // each added camera exercises a different auth path
+    '--wsd-port', '0', '--ssdp-port', '0'               // free ports — discovery probes them on loopback
+  ], { stdio: 'inherit' });
+  simulator.on('message', msg => {
+    if (msg.type === 'discovery') { simResponders = msg; return; }
+    const p = simPending.get(msg.id);
+    if (!p) return;
+    simPending.delete(msg.id);
+    if (msg.type === 'added') p.resolve(msg.camera); else p.reject(new Error(msg.error));
+  });
+  simulator.on('exit', code => {
+    console.log(`[sim] Simulator exited (${code})`);
+    simulator = null;
+    simResponders = null;
+    for (const p of simPending.values()) p.reject(new Error('Simulator exited'));
+    simPending.clear();
+  });
+  return simulator;
+}
+
+// port: reuse a previous simulated camera's address (saved layouts) — 0 picks a free one
+ipcMain.handle('sim:addCamera', async (_, port = 0) => {
   try {
-    if (ip === 'mock') return { success: true };
-    await httpGet(ip, `/cgi-bin/param.cgi?set_overlay&${param}&${value}`, 4000, auth);
-    return { success: true };
+    const id = ++simReqId;
+    const camera = await new Promise((resolve, reject) => {
+      simPending.set(id, { resolve, reject });
+      startSimulator().send({ type: 'add', id, port });
+    });
+    return { success: true, camera };
   } catch (err) { return { success: false, error: err.message }; }
 });
 
-ipcMain.handle('camera:setTrackPreset', async (_, ip, value, auth = null) => {
+/* ── Control API (opt-in REST + WebSocket server, see control-server.js) ─── */
+// Requests are forwarded to the renderer, which runs them through the same
+// functions as its own controls — so the UI always reflects API actions.
+const CONTROL_DEFAULTS = { enabled: false, host: '127.0.0.1', port: 8787, token: null };
+const API_TIMEOUT = 30000; // a sync across several cameras can take a while
+
+let controlServer = null;
+let controlError = null;
+let apiReqId = 0;
+const apiPending = new Map();
+
+function controlConfig() {
+  return { ...CONTROL_DEFAULTS, ...readStore('control-api', {}) };
+}
+
+function newApiToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+// Loopback, all interfaces, and every IPv4 address on this machine
+function bindAddresses() {
+  const list = [{ address: '127.0.0.1', label: 'Localhost only' }, { address: '0.0.0.0', label: 'All interfaces' }];
+  for (const [name, addrs] of Object.entries(os.networkInterfaces())) {
+    for (const a of addrs) if (a.family === 'IPv4' && !a.internal) list.push({ address: a.address, label: `${name} (${a.address})` });
+  }
+  return list;
+}
+
+function rendererCommand(action, params) {
+  if (!mainWindow || mainWindow.isDestroyed()) return Promise.resolve({ success: false, error: 'App window is not open', status: 503 });
+  const id = ++apiReqId;
+  return new Promise(resolve => {
+    const timer = setTimeout(() => {
+      apiPending.delete(id);
+      resolve({ success: false, error: 'The app did not answer in time', status: 504 });
+    }, API_TIMEOUT);
+    apiPending.set(id, { resolve, timer });
+    mainWindow.webContents.send('api:command', { id, action, params });
+  });
+}
+
+async function startControlApi() {
+  if (controlServer) { controlServer.stop(); controlServer = null; }
+  controlError = null;
+  const cfg = controlConfig();
+  if (!cfg.enabled) return;
+  const server = new ControlServer({
+    host: cfg.host, port: cfg.port, token: cfg.token,
+    onCommand: rendererCommand,
+    onClient: async () => ({ type: 'hello', time: new Date().toISOString(), cameras: (await rendererCommand('cameras', {})).cameras || [] })
+  });
   try {
-    if (ip === 'mock') return { success: true };
-    await httpGet(ip, `/cgi-bin/ptzctrl.cgi?post_image_value&trackpreset&${value}`, 4000, auth);
-    return { success: true };
-  } catch (err) { return { success: false, error: err.message }; }
+    await server.start();
+    controlServer = server;
+    console.log(`[api] Control API listening on ${cfg.host}:${cfg.port}`);
+  } catch (err) {
+    controlError = err.code === 'EADDRINUSE' ? `Port ${cfg.port} is already in use` : err.message;
+  }
+}
+
+function controlStatus() {
+  return { ...controlConfig(), running: !!controlServer, error: controlError, addresses: bindAddresses() };
+}
+
+ipcMain.handle('api:status', async () => controlStatus());
+
+ipcMain.handle('api:configure', async (_, { enabled, host, port }) => {
+  const cfg = controlConfig();
+  if (enabled !== undefined) cfg.enabled = !!enabled;
+  if (host) cfg.host = host;
+  if (port) cfg.port = Math.max(1, Math.min(65535, Number(port) || CONTROL_DEFAULTS.port));
+  if (cfg.enabled && !cfg.token) cfg.token = newApiToken();
+  writeStore('control-api', cfg);
+  await startControlApi();
+  return { success: !controlError, error: controlError, status: controlStatus() };
 });
 
-ipcMain.handle('camera:setNetworkParam', async (_, ip, params, auth = null) => {
-  try {
-    if (ip === 'mock') return { success: true };
-    const q = Object.entries(params).map(([k, v]) => `${k}=${v}`).join('&');
-    await httpPost(ip, `/cgi-bin/param.cgi?post_network_other_conf&${q}`, 4000, auth);
-    return { success: true };
-  } catch (err) { return { success: false, error: err.message }; }
+// Issuing a new token disconnects every client holding the old one
+ipcMain.handle('api:newToken', async () => {
+  writeStore('control-api', { ...controlConfig(), token: newApiToken() });
+  await startControlApi();
+  return { success: !controlError, error: controlError, status: controlStatus() };
 });
 
-ipcMain.handle('camera:setIRChannel', async (_, ip, channel, auth = null) => {
-  try {
-    if (ip === 'mock') return { success: true };
-    await httpGet(ip, `/cgi-bin/param.cgi?post_ir_info=&ir_id=${channel}`, 4000, auth);
-    return { success: true };
-  } catch (err) { return { success: false, error: err.message }; }
+ipcMain.handle('api:reply', async (_, id, result) => {
+  const p = apiPending.get(id);
+  if (!p) return;
+  clearTimeout(p.timer);
+  apiPending.delete(id);
+  p.resolve(result);
 });
 
-ipcMain.handle('camera:reboot', async (_, ip, auth = null) => {
-  try {
-    if (ip === 'mock') return { success: true };
-    await httpPost(ip, '/cgi-bin/param.cgi?post_reboot', 4000, auth);
-    return { success: true };
-  } catch (err) { return { success: false, error: err.message }; }
+// State changes from the renderer fan out to WebSocket clients and OSC feedback
+ipcMain.handle('api:event', async (_, event) => {
+  if (controlServer) controlServer.broadcast({ ...event, time: new Date().toISOString() });
+  oscFeedback(event);
 });
 
-/* ── VISCA ────────────────────────────────────────────────────────────────── */
-ipcMain.handle('camera:visca', async (_, ip, hexCmd, port = 1259) => {
+/* ── OSC input (UDP listener with address map, learn mode and feedback) ──── */
+// Built-in address space — <cam> is a 1-based camera number, a camera IP, or * for all:
+//   /pitized/cam/<cam>/preset/<slot>        /pitized/cam/<cam>/preset <slot>
+//   /pitized/cam/<cam>/pan|tilt|zoom <-1..1> proportional speed, 0 stops
+//   /pitized/cam/<cam>/stop                 /pitized/cam/<cam>/home
+//   /pitized/cam/<cam>/tracking <0|1>       /pitized/sync
+// Bindings alias any other address (e.g. a desk's cue button) to one of these.
+const OSC_DEFAULTS = { enabled: false, port: 9000, feedbackHost: '', feedbackPort: 9001, bindings: [] };
+const OSC_LOG_SIZE = 20;
+
+let oscSocket = null;
+let oscError = null;
+let oscLearn = false;
+let oscSettings = null;  // osc.json, kept in memory — it's consulted on every packet and feedback event
+const oscLog = [];
+
+function oscConfig() {
+  if (!oscSettings) oscSettings = { ...OSC_DEFAULTS, ...readStore('osc', {}) };
+  return { ...oscSettings };
+}
+
+function saveOscConfig(cfg) {
+  writeStore('osc', cfg);
+  oscSettings = { ...cfg };
+}
+
+// Buttons send 1 on press and 0 on release — only the press (or a bare address) fires
+function oscPressed(args) {
+  return !args.length || !!args[0];
+}
+
+// Maps an address + args to a control API action, or null if it isn't ours
+function oscCommand(address, args, bindings) {
+  const bound = bindings.find(b => b.address === address);
+  if (bound) return oscCommand(bound.target, args, []);
+
+  const parts = address.split('/').filter(Boolean);
+  if (parts[0] !== 'pitized') return null;
+  if (parts[1] === 'sync' && parts.length === 2) return oscPressed(args) ? { action: 'sync', params: {} } : null;
+  if (parts[1] !== 'cam' || parts.length < 4) return null;
+
+  const [, , cam, what, sub] = parts;
+  switch (what) {
+    case 'preset': {
+      if (sub !== undefined && !oscPressed(args)) return null;
+      const slot = Number(sub ?? args[0]);
+      return Number.isInteger(slot) ? { action: 'preset', params: { cam, slot } } : null;
+    }
+    case 'pan': case 'tilt': case 'zoom':
+      return { action: 'axis', params: { cam, axis: what, value: Number(args[0]) || 0 } };
+    case 'stop': case 'home':
+      return oscPressed(args) ? { action: 'move', params: { cam, direction: what } } : null;
+    case 'tracking':
+      return { action: 'tracking', params: { cam, enabled: oscPressed(args) } };
+  }
+  return null;
+}
+
+function oscArgText(a) {
+  return Buffer.isBuffer(a) ? `<blob ${a.length}>` : a;
+}
+
+function oscReceive(buf, rinfo) {
+  let messages;
+  try { messages = osc.decode(buf); }
+  catch (err) { console.log(`[osc] Bad packet from ${rinfo.address}: ${err.message}`); return; }
+
+  const { bindings } = oscConfig();
+  for (const { address, args } of messages) {
+    const cmd = oscCommand(address, args, bindings);
+    const entry = { address, args: args.map(oscArgText), from: `${rinfo.address}:${rinfo.port}`, time: Date.now(), action: cmd?.action || null, bound: bindings.some(b => b.address === address) };
+    oscLog.unshift(entry);
+    oscLog.length = Math.min(oscLog.length, OSC_LOG_SIZE);
+    if (oscLearn && mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('osc:message', entry);
+    if (cmd) rendererCommand(cmd.action, cmd.params).then(r => { if (!r.success) console.log(`[osc] ${address}: ${r.error}`); });
+  }
+}
+
+function startOsc() {
+  if (oscSocket) { oscSocket.close(); oscSocket = null; }
+  oscError = null;
+  const cfg = oscConfig();
+  if (!cfg.enabled) return Promise.resolve();
   return new Promise(resolve => {
-    try {
-      const client = dgram.createSocket('udp4');
-      const buf = Buffer.from(hexCmd, 'hex');
-      const t = setTimeout(() => { client.close(); resolve({ success: false, error: 'timeout' }); }, 2000);
-      client.on('message', msg => { clearTimeout(t); client.close(); resolve({ success: true, response: msg.toString('hex') }); });
-      client.send(buf, port, ip, err => { if (err) { clearTimeout(t); client.close(); resolve({ success: false, error: err.message }); } });
-    } catch (err) { resolve({ success: false, error: err.message }); }
+    const sock = dgram.createSocket('udp4');
+    sock.on('message', oscReceive);
+    // Before bind completes this is a bind failure; afterwards the listener is shut down
+    sock.on('error', err => {
+      if (oscSocket === sock) {
+        console.error(`[osc] ${err.message} — listener stopped`);
+        oscError = err.message;
+        oscSocket = null;
+      } else {
+        oscError = err.code === 'EADDRINUSE' ? `UDP port ${cfg.port} is already in use` : err.message;
+      }
+      sock.close();
+      resolve();
+    });
+    sock.bind(cfg.port, () => {
+      oscSocket = sock;
+      console.log(`[osc] Listening on UDP ${cfg.port}`);
+      resolve();
+    });
   });
+}
+
+// Mirrors state changes to the feedback host as /pitized/cam/<n>/... messages
+function oscFeedback(event) {
+  const cfg = oscConfig();
+  if (!oscSocket || !cfg.feedbackHost || !event.camera) return;
+  const base = `/pitized/cam/${event.camera.index}`;
+  const out = [];
+  if (event.type === 'camera') out.push([`${base}/online`, [event.online ? 1 : 0]]);
+  if (event.type === 'tracking') out.push([`${base}/tracking`, [event.tracking ? 1 : 0]], [`${base}/tracking/state`, [event.state]]);
+  if (event.type === 'preset') out.push([`${base}/preset`, [Number(event.slot)]]);
+  if (event.type === 'settings') for (const [k, v] of Object.entries(event.changes)) out.push([`${base}/setting/${k}`, [v]]);
+  for (const [address, args] of out) {
+    oscSocket.send(osc.encode(address, args), cfg.feedbackPort, cfg.feedbackHost, err => {
+      if (err) console.log(`[osc] Feedback to ${cfg.feedbackHost}:${cfg.feedbackPort} failed: ${err.message}`);
+    });
+  }
+}
+
+function oscStatus() {
+  return { ...oscConfig(), running: !!oscSocket, error: oscError, learn: oscLearn, log: oscLog };
+}
+
+ipcMain.handle('osc:status', async () => oscStatus());
+
+ipcMain.handle('osc:configure', async (_, { enabled, port, feedbackHost, feedbackPort }) => {
+  const cfg = oscConfig();
+  if (enabled !== undefined) cfg.enabled = !!enabled;
+  if (port) cfg.port = Math.max(1, Math.min(65535, Number(port) || OSC_DEFAULTS.port));
+  if (feedbackHost !== undefined) cfg.feedbackHost = String(feedbackHost).trim();
+  if (feedbackPort) cfg.feedbackPort = Math.max(1, Math.min(65535, Number(feedbackPort) || OSC_DEFAULTS.feedbackPort));
+  saveOscConfig(cfg);
+  await startOsc();
+  return { success: !oscError, error: oscError, status: oscStatus() };
 });
 
-/* ── Discovery ────────────────────────────────────────────────────────────── */
-ipcMain.handle('camera:discover', async () => {
+ipcMain.handle('osc:learn', async (_, on) => { oscLearn = !!on; return oscStatus(); });
+
+// target is a built-in /pitized/... address the learned address should act as
+ipcMain.handle('osc:bind', async (_, address, target) => {
+  const cfg = oscConfig();
+  if (!oscCommand(target, [], [])) return { success: false, error: `Not a PiTiZed address: ${target}` };
+  cfg.bindings = [...cfg.bindings.filter(b => b.address !== address), { address, target }];
+  saveOscConfig(cfg);
+  return { success: true, status: oscStatus() };
+});
+
+ipcMain.handle('osc:unbind', async (_, address) => {
+  const cfg = oscConfig();
+  cfg.bindings = cfg.bindings.filter(b => b.address !== address);
+  saveOscConfig(cfg);
+  return { success: true, status: oscStatus() };
+});
+
+/* ── Scheduler (timed and weekly actions, run from here so they fire while the window is minimised) ── */
+// A schedule is { id, name, enabled, repeat: 'once' | 'weekly', date, days, time, actions }.
+// `time` is local HH:MM, `date` YYYY-MM-DD for one-off runs and `days` 0–6 (Sunday
+// first) for weekly ones. Actions go to the renderer one camera at a time, the same
+// way control API requests do, and every run is appended to the history log.
+const SCHEDULE_HISTORY_SIZE = 200;
+const SCHEDULE_GRACE_MS = 5 * 60 * 1000;      // a run this late (machine asleep) still goes ahead
+const SCHEDULE_MAX_WAIT_MS = 60 * 60 * 1000;  // re-check at least hourly in case the clock moves
+
+// type → control API action and params; `cams` actions run once per listed camera
+const SCHEDULE_ACTIONS = {
+  connect:      { cams: true,  command: () => ['connect', {}] },
+  preset:       { cams: true,  command: a => ['preset', { slot: Number(a.slot) }] },
+  look:         { cams: false, command: a => ['look', { look: a.look }] },
+  sync:         { cams: false, command: a => ['sync', { source: a.source }] },
+  tracking:     { cams: true,  command: a => ['tracking', { enabled: !!a.on }] },
+  autotracking: { cams: true,  command: a => ['autotracking', { enabled: !!a.on }] },
+  reboot:       { cams: true,  command: () => ['reboot', {}] },
+  home:         { cams: true,  command: () => ['move', { direction: 'home' }] }
+};
+
+let scheduleTimer = null;
+let scheduleCheckedAt = Date.now();
+const scheduleRunning = new Set();
+
+function atTime(day, time) {
+  const [h, m] = String(time || '00:00').split(':').map(Number);
+  const d = new Date(day);
+  d.setHours(h || 0, m || 0, 0, 0);
+  return d;
+}
+
+// First run strictly after `after`, or null if there isn't one
+function nextScheduleRun(s, after) {
+  if (s.repeat === 'once') {
+    const at = s.date ? atTime(new Date(`${s.date}T00:00`), s.time) : null;
+    return at && !isNaN(at) && at > after ? at : null;
+  }
+  const days = s.days || [];
+  for (let k = 0; k <= 7; k++) {
+    const at = atTime(new Date(after.getFullYear(), after.getMonth(), after.getDate() + k), s.time);
+    if (days.includes(at.getDay()) && at > after) return at;
+  }
+  return null;
+}
+
+function armScheduler() {
+  clearTimeout(scheduleTimer);
+  const now = new Date();
+  const next = readStore('schedules', []).filter(s => s.enabled).map(s => nextScheduleRun(s, now)).filter(Boolean);
+  const wait = Math.min(SCHEDULE_MAX_WAIT_MS, ...next.map(d => d - now));
+  scheduleTimer = setTimeout(checkSchedules, Math.max(0, wait) + 50);
+}
+
+// Runs whatever fell due since the last check
+function checkSchedules() {
+  const from = new Date(scheduleCheckedAt);
+  const now = new Date();
+  scheduleCheckedAt = now.getTime();
+  for (const s of readStore('schedules', [])) {
+    const due = s.enabled && nextScheduleRun(s, from);
+    if (!due || due > now) continue;
+    if (now - due > SCHEDULE_GRACE_MS) logScheduleRun({ schedule: s.id, name: s.name, due: due.toISOString(), started: now.toISOString(), success: false, error: 'Missed — the computer was asleep at the scheduled time', results: [] });
+    else runSchedule(s, due);
+  }
+  armScheduler();
+}
+
+// After an edit only future times count, so moving a schedule into the past doesn't fire it
+function schedulesChanged() {
+  scheduleCheckedAt = Date.now();
+  armScheduler();
+}
+
+function logScheduleRun(entry) {
+  const history = [{ id: `run-${Date.now().toString(36)}-${entry.schedule}`, ...entry }, ...readStore('schedule-history', [])];
+  writeStore('schedule-history', history.slice(0, SCHEDULE_HISTORY_SIZE));
+  if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('schedule:ran', history[0]);
+  return history[0];
+}
+
+async function runScheduleAction(a, cameras) {
+  const def = SCHEDULE_ACTIONS[a.type];
+  if (!def) return [{ action: a.type, camera: null, success: false, error: `Unknown action: ${a.type}` }];
+  const [action, params] = def.command(a);
+  const nameOf = ip => cameras.find(c => c.ip === ip)?.name || ip;
+
+  if (a.type === 'sync') {
+    const r = await rendererCommand(action, params);
+    if (!r.cameras) return [{ action: a.type, camera: a.source ? nameOf(a.source) : null, success: r.success, error: r.error || null }];
+    return r.cameras.map(c => ({ action: a.type, camera: c.name, success: c.success, error: c.error || null }));
+  }
+  // A look belongs to the camera it was captured from
+  let ips = a.cams || [];
+  if (a.type === 'look') ips = [readStore('looks', []).find(l => l.id === a.look)?.ip].filter(Boolean);
+  else if (ips.includes('*')) ips = cameras.filter(c => c.ip && (a.type === 'connect' || c.online)).map(c => c.ip);
+  if (!ips.length) return [{ action: a.type, camera: null, success: false, error: a.type === 'look' ? 'The look no longer exists' : 'No cameras to act on' }];
+
+  return Promise.all(ips.map(async ip => {
+    const r = await rendererCommand(action, { ...params, cam: ip });
+    return { action: a.type, camera: nameOf(ip), success: r.success, error: r.error || null };
+  }));
+}
+
+async function runSchedule(s, due = new Date()) {
+  if (scheduleRunning.has(s.id)) return null;
+  scheduleRunning.add(s.id);
+  const started = new Date().toISOString();
+  const results = [];
+  let error = null;
+  try {
+    const list = await rendererCommand('cameras', {});
+    if (!list.success) throw new Error(list.error);
+    // Actions run in order; the cameras within one action run side by side
+    for (const a of s.actions || []) results.push(...await runScheduleAction(a, list.cameras));
+  } catch (err) { error = err.message; }
+  finally { scheduleRunning.delete(s.id); }
+  const success = !error && results.length > 0 && results.every(r => r.success);
+  if (!success && !error) error = `${results.filter(r => !r.success).length} of ${results.length} steps failed`;
+  console.log(`[schedule] ${s.name}: ${success ? 'ok' : error}`);
+  return logScheduleRun({ schedule: s.id, name: s.name, due: due.toISOString(), started, finished: new Date().toISOString(), success, error, results });
+}
+
+ipcMain.handle('schedules:status', async () => {
+  const now = new Date();
+  const next = {};
+  for (const s of readStore('schedules', [])) next[s.id] = s.enabled ? nextScheduleRun(s, now)?.toISOString() || null : null;
+  return { next, running: [...scheduleRunning], history: readStore('schedule-history', []) };
+});
+
+ipcMain.handle('schedules:run', async (_, id) => {
+  const s = readStore('schedules', []).find(x => x.id === id);
+  if (!s) return { success: false, error: 'Schedule not found' };
+  const entry = await runSchedule(s);
+  return entry ? { success: entry.success, error: entry.error, entry } : { success: false, error: `"${s.name}" is already running` };
+});
+
+ipcMain.handle('schedules:clearHistory', async () => {
+  writeStore('schedule-history', []);
+  return { success: true };
+});
+
+/* ── Discovery (VISCA broadcast, WS-Discovery, SSDP, optional HTTP sweep) ── */
+// Each source only yields addresses; every address is then asked for
+// get_device_conf and the answers merged by MAC/serial, so a camera that
+// replies to several protocols is listed once.
+const DISCOVERY_WAIT_MS = 3000;
+const MULTICAST_ADDR = '239.255.255.250';
+const WSD_PORT = 3702;
+const SSDP_PORT = 1900;
+const IDENTIFY_TIMEOUT_MS = 2500;
+const SWEEP_TIMEOUT_MS = 1200;   // a sweep mostly waits on addresses with nothing behind them
+const SWEEP_MAX_HOSTS = 1024;    // a /22
+const DISCOVERY_CONCURRENCY = 32;
+const DEVICE_CONF_PATH = '/cgi-bin/param.cgi?get_device_conf';
+
+// Sends `payload` to every [host, port] and passes each reply to `onReply` until `ms` has passed
+function udpProbe(targets, payload, ms, onReply) {
   return new Promise(resolve => {
-    const found = [];
-    const client = dgram.createSocket('udp4');
-    client.on('message', (_, r) => { if (!found.find(f => f.ip === r.address)) found.push({ ip: r.address }); });
-    client.on('error', () => { client.close(); resolve(found); });
-    client.bind(() => { client.setBroadcast(true); const c = Buffer.from('81090002ff','hex'); [1259,5678].forEach(p => client.send(c, p, '255.255.255.255')); });
-    setTimeout(() => { client.close(); resolve(found); }, 3000);
+    const sock = dgram.createSocket('udp4');
+    let open = true;
+    const finish = () => {
+      if (!open) return;
+      open = false;
+      clearTimeout(timer);
+      sock.close();
+      resolve();
+    };
+    const timer = setTimeout(finish, ms);
+    sock.on('message', (msg, rinfo) => {
+      try { onReply(msg.toString('utf8'), rinfo); }
+      catch (err) { console.error(`[discover] Bad reply from ${rinfo.address}: ${err.message}`); }
+    });
+    sock.on('error', err => { console.error(`[discover] ${err.message}`); finish(); });
+    sock.bind(() => {
+      sock.setBroadcast(true);
+      for (const [host, port] of targets) {
+        sock.send(payload, port, host, err => { if (err) console.error(`[discover] Send to ${host}:${port} failed: ${err.message}`); });
+      }
+    });
   });
+}
+
+// http://host:port/... → the "host[:port]" form camera addresses use (port only when not 80)
+function addressOf(url) {
+  return new URL(url).host;
+}
+
+// Multicast reaches the LAN; the simulator's stand-in responders listen on loopback
+function discoveryTargets(port, simPort) {
+  const targets = [[MULTICAST_ADDR, port], ['127.0.0.1', port]];
+  if (simPort && simPort !== port) targets.push(['127.0.0.1', simPort]);
+  return targets;
+}
+
+async function discoverVisca() {
+  const found = [];
+  const inquiry = Buffer.from('81090002ff', 'hex');  // CAM_VersionInq
+  await udpProbe([['255.255.255.255', 1259], ['255.255.255.255', 5678]], inquiry, DISCOVERY_WAIT_MS,
+    (_, r) => found.push({ ip: r.address, source: 'visca' }));
+  return found;
+}
+
+function wsdProbe() {
+  return '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope" xmlns:a="http://schemas.xmlsoap.org/ws/2004/08/addressing" ' +
+    'xmlns:d="http://schemas.xmlsoap.org/ws/2005/04/discovery" xmlns:dn="http://www.onvif.org/ver10/network/wsdl">' +
+    `<s:Header><a:MessageID>urn:uuid:${crypto.randomUUID()}</a:MessageID>` +
+    '<a:To>urn:schemas-xmlsoap-org:ws:2005:04:discovery</a:To>' +
+    '<a:Action>http://schemas.xmlsoap.org/ws/2005/04/discovery/Probe</a:Action></s:Header>' +
+    '<s:Body><d:Probe><d:Types>dn:NetworkVideoTransmitter</d:Types></d:Probe></s:Body></s:Envelope>';
+}
+
+// One ProbeMatches message can carry several matches; ONVIF scopes name the hardware and device
+function parseProbeMatches(xml, rinfo) {
+  const found = [];
+  for (const [, match] of xml.matchAll(/<(?:\w+:)?ProbeMatch>([\s\S]*?)<\/(?:\w+:)?ProbeMatch>/g)) {
+    const tag = name => (new RegExp(`<(?:\\w+:)?${name}>([^<]*)<`).exec(match) || [])[1] || '';
+    const xaddr = tag('XAddrs').split(/\s+/).find(u => /^https?:\/\//.test(u));
+    const scopes = tag('Scopes').split(/\s+/);
+    const scope = key => {
+      const prefix = `onvif://www.onvif.org/${key}/`;
+      const s = scopes.find(s => s.startsWith(prefix));
+      return s ? decodeURIComponent(s.slice(prefix.length)) : undefined;
+    };
+    found.push({
+      ip: xaddr ? addressOf(xaddr) : rinfo.address,
+      source: 'onvif',
+      onvif: xaddr,
+      model: scope('hardware'),
+      name: scope('name')
+    });
+  }
+  return found;
+}
+
+async function discoverWsd() {
+  const found = [];
+  await udpProbe(discoveryTargets(WSD_PORT, simResponders?.wsdPort), Buffer.from(wsdProbe()), DISCOVERY_WAIT_MS,
+    (xml, r) => found.push(...parseProbeMatches(xml, r)));
+  return found;
+}
+
+async function discoverSsdp() {
+  const found = [];
+  const search = [
+    'M-SEARCH * HTTP/1.1',
+    `HOST: ${MULTICAST_ADDR}:${SSDP_PORT}`,
+    'MAN: "ssdp:discover"',
+    'MX: 2',
+    'ST: upnp:rootdevice',
+    '', ''
+  ].join('\r\n');
+  await udpProbe(discoveryTargets(SSDP_PORT, simResponders?.ssdpPort), Buffer.from(search), DISCOVERY_WAIT_MS, (text, r) => {
+    if (!/^HTTP\/1\.1 200/.test(text)) return;
+    const location = (/^LOCATION:\s*(.+?)\s*$/im.exec(text) || [])[1];
+    found.push({ ip: location ? addressOf(location) : r.address, source: 'ssdp' });
+  });
+  return found;
+}
+
+// "a.b.c.d/n" → every host address in it (a bare address is a /32)
+function cidrHosts(cidr) {
+  const m = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})(?:\/(\d{1,2}))?$/.exec(String(cidr).trim());
+  if (!m || m.slice(1, 5).some(o => Number(o) > 255) || Number(m[5]) > 32) throw new Error(`Not an address range: ${cidr}`);
+  const size = 2 ** (32 - (m[5] === undefined ? 32 : Number(m[5])));
+  if (size > SWEEP_MAX_HOSTS) throw new Error(`${cidr} holds ${size} addresses — sweep at most ${SWEEP_MAX_HOSTS} (a /22)`);
+  const base = m.slice(1, 5).reduce((n, o) => n * 256 + Number(o), 0);
+  const start = base - base % size;
+  // Network and broadcast addresses are skipped, except in a /31 or /32
+  const [first, last] = size > 2 ? [1, size - 2] : [0, size - 1];
+  const hosts = [];
+  for (let k = first; k <= last; k++) {
+    const v = start + k;
+    hosts.push([v >>> 24, (v >>> 16) & 255, (v >>> 8) & 255, v & 255].join('.'));
+  }
+  return hosts;
+}
+
+// Runs fn over items with at most `limit` in flight
+async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const k = next++;
+      out[k] = await fn(items[k]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+
+function readDeviceConf(res) {
+  return new Promise(resolve => {
+    let d = '';
+    res.on('data', c => d += c);
+    res.on('end', () => resolve(res.statusCode === 200 ? parse(d) : null));
+    res.on('error', () => resolve(null));
+  });
+}
+
+// Asks for get_device_conf without credentials — a 401 is how we learn the camera
+// wants them. Factory credentials are then tried, so a camera still on them shows
+// its model and serial. Resolves null when nothing answers like a PTZOptics camera.
+function identify(ip, timeout = IDENTIFY_TIMEOUT_MS) {
+  return new Promise(resolve => {
+    const req = http.get(`http://${ip}${DEVICE_CONF_PATH}`, { timeout, headers: { 'Connection': 'close' } }, async res => {
+      if (res.statusCode !== 401) {
+        const conf = await readDeviceConf(res);
+        resolve(conf && conf.device_model !== undefined ? { auth: false, defaultCreds: false, conf } : null);
+        return;
+      }
+      res.resume();
+      const [username, password] = FACTORY_CREDENTIALS[0];
+      authGetFresh(ip, DEVICE_CONF_PATH, timeout, { username, password },
+        async res2 => resolve({ auth: true, defaultCreds: true, conf: await readDeviceConf(res2) }),
+        () => resolve({ auth: true, defaultCreds: false, conf: null }));
+    });
+    req.on('error', () => { req.destroy(); resolve(null); });
+    req.on('timeout', () => { req.destroy(); resolve(null); });
+  });
+}
+
+function discoveryProgress(phase, done, total) {
+  if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('discover:progress', { phase, done, total });
+}
+
+// Only addresses that answer get_device_conf (or ask for credentials) come back
+async function sweep(hosts) {
+  let done = 0;
+  const ids = await mapLimit(hosts, DISCOVERY_CONCURRENCY, async ip => {
+    const id = await identify(ip, SWEEP_TIMEOUT_MS);
+    if (++done % DISCOVERY_CONCURRENCY === 0 || done === hosts.length) discoveryProgress('sweep', done, hosts.length);
+    return id && { ip, source: 'sweep', id };
+  });
+  return ids.filter(Boolean);
+}
+
+/**
+ * Runs every discovery method at once and returns one record per device:
+ * { ip, aliases, sources, model, firmware, serial, mac, name, auth, defaultCreds, onvif, cgi }.
+ * `auth` is null and `cgi` false for devices that don't answer the PTZOptics HTTP API
+ * (VISCA-only or ONVIF-only); SSDP answers that turn out not to be cameras are dropped.
+ */
+async function discoverCameras({ cidr = '' } = {}) {
+  const hosts = cidr ? cidrHosts(cidr) : [];  // a bad range fails before any probe goes out
+  const hits = (await Promise.all([discoverVisca(), discoverWsd(), discoverSsdp(), sweep(hosts)])).flat();
+
+  const byIp = new Map();
+  for (const hit of hits) {
+    const e = byIp.get(hit.ip) || { ip: hit.ip, sources: new Set() };
+    e.sources.add(hit.source);
+    for (const k of ['id', 'onvif', 'model', 'name']) if (hit[k] && !e[k]) e[k] = hit[k];
+    byIp.set(hit.ip, e);
+  }
+
+  const pending = [...byIp.values()].filter(e => !e.id);
+  let done = 0;
+  await mapLimit(pending, DISCOVERY_CONCURRENCY, async e => {
+    e.id = await identify(e.ip);
+    discoveryProgress('identify', ++done, pending.length);
+  });
+
+  const records = [];
+  for (const e of byIp.values()) {
+    if (!e.id && !e.sources.has('onvif') && !e.sources.has('visca')) continue;
+    const conf = e.id?.conf || {};
+    records.push({
+      ip: e.ip,
+      aliases: [],
+      sources: [...e.sources],
+      model: conf.device_model || e.model || null,
+      firmware: conf.firmware_version || null,
+      serial: conf.serial_number != null ? String(conf.serial_number) : null,
+      mac: conf.mac ? String(conf.mac).toLowerCase() : null,
+      name: conf.devname || e.name || null,
+      auth: e.id ? e.id.auth : null,
+      defaultCreds: !!e.id?.defaultCreds,
+      onvif: e.onvif || null,
+      cgi: !!e.id
+    });
+  }
+
+  // The same device at two addresses (two interfaces, or a hostname) is listed once
+  const merged = [];
+  for (const r of records) {
+    const same = merged.find(m => (r.mac && m.mac === r.mac) || (r.serial && m.serial === r.serial));
+    if (!same) { merged.push(r); continue; }
+    same.aliases.push(r.ip);
+    same.sources = [...new Set([...same.sources, ...r.sources])];
+    for (const k of Object.keys(r)) if (same[k] == null && r[k] != null) same[k] = r[k];
+  }
+  return merged.sort((a, b) => a.ip.localeCompare(b.ip, undefined, { numeric: true }));
+}
+
+ipcMain.handle('camera:discover', async (_, opts = {}) => {
+  try {
+    return { success: true, found: await discoverCameras(opts) };
+  } catch (err) { return { success: false, error: err.message }; }
 });
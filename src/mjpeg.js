@@ -0,0 +1,58 @@
+/* ── multipart/x-mixed-replace (MJPEG) parser ─────────────────────────────── */
+// Each part: --boundary CRLF headers CRLF CRLF body [CRLF]. Parts with a
+// Content-Length are cut by length; others run until the next boundary.
+const MAX_BUFFER = 8 * 1024 * 1024;
+
+function boundaryOf(contentType) {
+  const m = /boundary="?([^";]+)"?/i.exec(contentType || '');
+  return m ? m[1].replace(/^--/, '') : null;
+}
+
+class MjpegParser {
+  constructor(boundary, onFrame) {
+    this.boundary = Buffer.from(`--${boundary}`);
+    this.onFrame = onFrame;
+    this.buf = Buffer.alloc(0);
+  }
+
+  push(chunk) {
+    this.buf = this.buf.length ? Buffer.concat([this.buf, chunk]) : chunk;
+    if (this.buf.length > MAX_BUFFER) this.buf = Buffer.alloc(0); // lost sync — resync on next boundary
+
+    for (;;) {
+      const start = this.buf.indexOf(this.boundary);
+      if (start < 0) {
+        // Keep a tail in case a boundary straddles two chunks
+        this.buf = this.buf.subarray(Math.max(0, this.buf.length - this.boundary.length));
+        return;
+      }
+      const headEnd = this.buf.indexOf('\r\n\r\n', start);
+      if (headEnd < 0) return;
+
+      const headers = {};
+      for (const line of this.buf.subarray(start + this.boundary.length, headEnd).toString('latin1').split('\r\n')) {
+        const c = line.indexOf(':');
+        if (c > 0) headers[line.slice(0, c).trim().toLowerCase()] = line.slice(c + 1).trim();
+      }
+
+      const bodyStart = headEnd + 4;
+      let bodyEnd;
+      const len = parseInt(headers['content-length'], 10);
+      if (len >= 0) {
+        bodyEnd = bodyStart + len;
+        if (this.buf.length < bodyEnd) return;
+      } else {
+        const next = this.buf.indexOf(this.boundary, bodyStart);
+        if (next < 0) return;
+        bodyEnd = next;
+        while (bodyEnd > bodyStart && (this.buf[bodyEnd - 1] === 0x0a || this.buf[bodyEnd - 1] === 0x0d)) bodyEnd--;
+      }
+
+      // Copy out — the parser's buffer is reused for the next part
+      this.onFrame(Buffer.from(this.buf.subarray(bodyStart, bodyEnd)), headers['content-type'] || 'image/jpeg');
+      this.buf = this.buf.subarray(bodyEnd);
+    }
+  }
+}
+
+module.exports = { MjpegParser, boundaryOf };
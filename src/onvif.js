@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+
+/* ── SOAP envelope (SOAP 1.2 + WS-Security UsernameToken) ─────────────────── */
+const NS = {
+  s: 'http://www.w3.org/2003/05/soap-envelope',
+  tt: 'http://www.onvif.org/ver10/schema',
+  tds: 'http://www.onvif.org/ver10/device/wsdl',
+  trt: 'http://www.onvif.org/ver10/media/wsdl',
+  tptz: 'http://www.onvif.org/ver20/ptz/wsdl',
+  timg: 'http://www.onvif.org/ver20/imaging/wsdl'
+};
+const WSSE = 'http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-wssecurity-secext-1.0.xsd';
+const WSU = 'http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-wssecurity-utility-1.0.xsd';
+const PASSWORD_DIGEST = 'http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-username-token-profile-1.0#PasswordDigest';
+const DEVICE_PATH = '/onvif/device_service';
+
+// PasswordDigest = Base64(SHA1(nonce + created + password)); `created` uses the camera's clock
+function usernameToken({ username, password }, clockOffset) {
+  const nonce = crypto.randomBytes(16);
+  const created = new Date(Date.now() + clockOffset).toISOString().replace(/\.\d+Z$/, 'Z');
+  const digest = crypto.createHash('sha1').update(Buffer.concat([nonce, Buffer.from(created + password)])).digest('base64');
+  return `<wsse:Security s:mustUnderstand="1" xmlns:wsse="${WSSE}" xmlns:wsu="${WSU}"><wsse:UsernameToken>` +
+    `<wsse:Username>${escapeXml(username)}</wsse:Username><wsse:Password Type="${PASSWORD_DIGEST}">${digest}</wsse:Password>` +
+    `<wsse:Nonce>${nonce.toString('base64')}</wsse:Nonce><wsu:Created>${created}</wsu:Created></wsse:UsernameToken></wsse:Security>`;
+}
+
+function envelope(body, auth, clockOffset) {
+  const xmlns = Object.entries(NS).map(([p, uri]) => `xmlns:${p}="${uri}"`).join(' ');
+  const header = auth && auth.username ? `<s:Header>${usernameToken(auth, clockOffset)}</s:Header>` : '';
+  return `<?xml version="1.0" encoding="UTF-8"?><s:Envelope ${xmlns}>${header}<s:Body>${body}</s:Body></s:Envelope>`;
+}
+
+function escapeXml(s) {
+  return String(s).replace(/[<>&"']/g, ch => `&#${ch.charCodeAt(0)};`);
+}
+
+/* ── XML reading ──────────────────────────────────────────────────────────── */
+// ONVIF replies are small and regular; namespace prefixes vary by vendor, so tags match on local name
+function xmlBlock(xml, tag) {
+  const m = new RegExp(`<(?:[\\w-]+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>`).exec(xml);
+  return m ? m[1] : null;
+}
+
+function xmlBlocks(xml, tag) {
+  const re = new RegExp(`<(?:[\\w-]+:)?${tag}(\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>`, 'g');
+  return [...xml.matchAll(re)].map(m => ({ attrs: m[1] || '', body: m[2] }));
+}
+
+// Text of a nested path, e.g. xmlText(xml, 'WhiteBalance', 'Mode')
+function xmlText(xml, ...path) {
+  let cur = xml;
+  for (const tag of path) {
+    if (cur == null) return null;
+    cur = xmlBlock(cur, tag);
+  }
+  return cur == null ? null : cur.trim();
+}
+
+function xmlAttr(attrs, name) {
+  return (new RegExp(`\\b${name}="([^"]*)"`).exec(attrs) || [])[1] ?? null;
+}
+
+// { min, max } of an options range such as <Brightness><Min>0</Min><Max>100</Max></Brightness>
+function xmlRange(xml, ...path) {
+  const min = Number(xmlText(xml, ...path, 'Min')), max = Number(xmlText(xml, ...path, 'Max'));
+  return Number.isFinite(min) && Number.isFinite(max) && max > min ? { min, max } : null;
+}
+
+/* ── Client ───────────────────────────────────────────────────────────────── */
+/**
+ * Minimal ONVIF client: device, media, PTZ and imaging services over SOAP.
+ * `post(ip, path, body, timeout)` sends the request and resolves to
+ * { status, body }. Service paths come from GetCapabilities — only the path is
+ * kept, since cameras often advertise an internal address.
+ */
+class OnvifClient {
+  constructor(ip, auth, post, { timeout = 5000 } = {}) {
+    this.ip = ip;
+    this.auth = auth;
+    this.post = post;
+    this.timeout = timeout;
+    this.clockOffset = 0;   // camera clock − ours, so tokens aren't rejected as stale
+    this.paths = { device: DEVICE_PATH };
+  }
+
+  async call(service, body, { auth = true } = {}) {
+    const path = this.paths[service];
+    if (!path) throw new Error(`Camera has no ONVIF ${service} service`);
+    const xml = envelope(body, auth ? this.auth : null, this.clockOffset);
+    const res = await this.post(this.ip, path, xml, this.timeout);
+    const fault = xmlBlock(res.body, 'Fault');
+    if (fault !== null) {
+      const reason = xmlText(fault, 'Reason', 'Text') || xmlText(fault, 'Subcode', 'Value') || 'SOAP fault';
+      if (/NotAuthorized|Sender not Authorized/i.test(fault)) throw new Error('401 Unauthorized - check credentials');
+      throw new Error(`ONVIF: ${reason}`);
+    }
+    if (res.status === 401) throw new Error('401 Unauthorized - check credentials');
+    if (res.status !== 200) throw new Error(`ONVIF ${service}: HTTP ${res.status}`);
+    return xmlBlock(res.body, 'Body') || '';
+  }
+
+  // Unauthenticated on every camera; also sets the clock offset used by tokens
+  async syncClock() {
+    const body = await this.call('device', '<tds:GetSystemDateAndTime/>', { auth: false });
+    const utc = xmlBlock(body, 'UTCDateTime');
+    if (!utc) return;
+    const n = tag => Number(xmlText(utc, tag));
+    const at = Date.UTC(n('Year'), n('Month') - 1, n('Day'), n('Hour'), n('Minute'), n('Second'));
+    if (Number.isFinite(at)) this.clockOffset = at - Date.now();
+  }
+
+  async capabilities() {
+    const body = await this.call('device', '<tds:GetCapabilities><tds:Category>All</tds:Category></tds:GetCapabilities>');
+    for (const [service, tag] of [['media', 'Media'], ['ptz', 'PTZ'], ['imaging', 'Imaging']]) {
+      const xaddr = xmlText(body, tag, 'XAddr');
+      if (xaddr) this.paths[service] = new URL(xaddr).pathname;
+    }
+    return this.paths;
+  }
+
+  async deviceInformation() {
+    const body = await this.call('device', '<tds:GetDeviceInformation/>');
+    return {
+      manufacturer: xmlText(body, 'Manufacturer'),
+      model: xmlText(body, 'Model'),
+      firmware: xmlText(body, 'FirmwareVersion'),
+      serial: xmlText(body, 'SerialNumber')
+    };
+  }
+
+  // [{ token, videoSource, ptz }] — ptz is true when the profile carries a PTZ configuration
+  async profiles() {
+    const body = await this.call('media', '<trt:GetProfiles/>');
+    return xmlBlocks(body, 'Profiles').map(p => ({
+      token: xmlAttr(p.attrs, 'token'),
+      videoSource: xmlText(p.body, 'VideoSourceConfiguration', 'SourceToken'),
+      ptz: xmlBlock(p.body, 'PTZConfiguration') !== null
+    }));
+  }
+
+  async snapshotUri(profile) {
+    const body = await this.call('media', `<trt:GetSnapshotUri><trt:ProfileToken>${escapeXml(profile)}</trt:ProfileToken></trt:GetSnapshotUri>`);
+    return xmlText(body, 'MediaUri', 'Uri');
+  }
+
+  continuousMove(profile, { pan = 0, tilt = 0, zoom = null }) {
+    const velocity = (zoom === null ? `<tt:PanTilt x="${pan}" y="${tilt}"/>` : `<tt:Zoom x="${zoom}"/>`);
+    return this.call('ptz', `<tptz:ContinuousMove><tptz:ProfileToken>${escapeXml(profile)}</tptz:ProfileToken><tptz:Velocity>${velocity}</tptz:Velocity></tptz:ContinuousMove>`);
+  }
+
+  stop(profile, { panTilt = true, zoom = true } = {}) {
+    return this.call('ptz', `<tptz:Stop><tptz:ProfileToken>${escapeXml(profile)}</tptz:ProfileToken><tptz:PanTilt>${panTilt}</tptz:PanTilt><tptz:Zoom>${zoom}</tptz:Zoom></tptz:Stop>`);
+  }
+
+  // Zoom only, in the generic 0–1 position space
+  absoluteZoom(profile, zoom, speed = 1) {
+    return this.call('ptz', `<tptz:AbsoluteMove><tptz:ProfileToken>${escapeXml(profile)}</tptz:ProfileToken>` +
+      `<tptz:Position><tt:Zoom x="${zoom}"/></tptz:Position><tptz:Speed><tt:Zoom x="${speed}"/></tptz:Speed></tptz:AbsoluteMove>`);
+  }
+
+  gotoHome(profile) {
+    return this.call('ptz', `<tptz:GotoHomePosition><tptz:ProfileToken>${escapeXml(profile)}</tptz:ProfileToken></tptz:GotoHomePosition>`);
+  }
+
+  gotoPreset(profile, token) {
+    return this.call('ptz', `<tptz:GotoPreset><tptz:ProfileToken>${escapeXml(profile)}</tptz:ProfileToken><tptz:PresetToken>${escapeXml(token)}</tptz:PresetToken></tptz:GotoPreset>`);
+  }
+
+  // Without a token the camera creates a preset and picks its token; resolves to the token
+  async setPreset(profile, token, name) {
+    const tokenXml = token ? `<tptz:PresetToken>${escapeXml(token)}</tptz:PresetToken>` : '';
+    const body = await this.call('ptz', `<tptz:SetPreset><tptz:ProfileToken>${escapeXml(profile)}</tptz:ProfileToken>` +
+      `<tptz:PresetName>${escapeXml(name)}</tptz:PresetName>${tokenXml}</tptz:SetPreset>`);
+    return xmlText(body, 'PresetToken') || token;
+  }
+
+  // [{ token, name }]
+  async presets(profile) {
+    const body = await this.call('ptz', `<tptz:GetPresets><tptz:ProfileToken>${escapeXml(profile)}</tptz:ProfileToken></tptz:GetPresets>`);
+    return xmlBlocks(body, 'Preset').map(p => ({ token: xmlAttr(p.attrs, 'token'), name: xmlText(p.body, 'Name') }));
+  }
+
+  async imagingSettings(source) {
+    const body = await this.call('imaging', `<timg:GetImagingSettings><timg:VideoSourceToken>${escapeXml(source)}</timg:VideoSourceToken></timg:GetImagingSettings>`);
+    return xmlBlock(body, 'ImagingSettings') || '';
+  }
+
+  async imagingOptions(source) {
+    const body = await this.call('imaging', `<timg:GetOptions><timg:VideoSourceToken>${escapeXml(source)}</timg:VideoSourceToken></timg:GetOptions>`);
+    return xmlBlock(body, 'ImagingOptions') || '';
+  }
+
+  // `settings` is an ImagingSettings fragment, e.g. '<tt:Brightness>50</tt:Brightness>'
+  setImagingSettings(source, settings) {
+    return this.call('imaging', `<timg:SetImagingSettings><timg:VideoSourceToken>${escapeXml(source)}</timg:VideoSourceToken>` +
+      `<timg:ImagingSettings>${settings}</timg:ImagingSettings><timg:ForcePersistence>true</timg:ForcePersistence></timg:SetImagingSettings>`);
+  }
+
+  // Continuous focus: positive speed moves toward far
+  focusMove(source, speed) {
+    return this.call('imaging', `<timg:Move><timg:VideoSourceToken>${escapeXml(source)}</timg:VideoSourceToken>` +
+      `<timg:Focus><tt:Continuous><tt:Speed>${speed}</tt:Speed></tt:Continuous></timg:Focus></timg:Move>`);
+  }
+
+  focusStop(source) {
+    return this.call('imaging', `<timg:Stop><timg:VideoSourceToken>${escapeXml(source)}</timg:VideoSourceToken></timg:Stop>`);
+  }
+
+  reboot() {
+    return this.call('device', '<tds:SystemReboot/>');
+  }
+}
+
+module.exports = { OnvifClient, DEVICE_PATH, xmlBlock, xmlBlocks, xmlText, xmlAttr, xmlRange, escapeXml };
@@ -0,0 +1,73 @@
+/* ── OSC 1.0 codec ────────────────────────────────────────────────────────── */
+// Strings and blobs are padded to 4 bytes; numbers are big-endian.
+// Bundles ("#bundle" + timetag + sized elements) are flattened — cues fire on arrival.
+function pad4(n) { return (n + 3) & ~3; }
+
+function readString(buf, off) {
+  const end = buf.indexOf(0, off);
+  if (end < 0) throw new Error('Unterminated OSC string');
+  return { value: buf.toString('utf8', off, end), next: pad4(end + 1) };
+}
+
+function decodeMessage(buf) {
+  const { value: address, next } = readString(buf, 0);
+  if (address[0] !== '/') throw new Error('OSC address must start with /');
+  let off = next;
+  let tags = ',';
+  if (off < buf.length) ({ value: tags, next: off } = readString(buf, off));
+  const args = [];
+  for (const t of tags.slice(1)) {
+    switch (t) {
+      case 'i': args.push(buf.readInt32BE(off)); off += 4; break;
+      case 'f': args.push(buf.readFloatBE(off)); off += 4; break;
+      case 'd': args.push(buf.readDoubleBE(off)); off += 8; break;
+      case 'h': args.push(Number(buf.readBigInt64BE(off))); off += 8; break;
+      case 't': off += 8; break; // timetag argument — not used
+      case 's': case 'S': { const r = readString(buf, off); args.push(r.value); off = r.next; break; }
+      case 'b': { const n = buf.readInt32BE(off); args.push(buf.subarray(off + 4, off + 4 + n)); off = pad4(off + 4 + n); break; }
+      case 'T': args.push(true); break;
+      case 'F': args.push(false); break;
+      case 'N': args.push(null); break;
+      case 'I': args.push(Infinity); break;
+      default: throw new Error(`Unsupported OSC type tag '${t}'`);
+    }
+  }
+  return { address, args };
+}
+
+// Returns every message in a packet, unwrapping nested bundles
+function decode(buf) {
+  if (buf.subarray(0, 8).toString('latin1') !== '#bundle\0') return [decodeMessage(buf)];
+  const out = [];
+  let off = 16; // "#bundle\0" + 8-byte timetag
+  while (off + 4 <= buf.length) {
+    const size = buf.readInt32BE(off);
+    out.push(...decode(buf.subarray(off + 4, off + 4 + size)));
+    off += 4 + size;
+  }
+  return out;
+}
+
+function writeString(s) {
+  const raw = Buffer.from(`${s}\0`, 'utf8');
+  const buf = Buffer.alloc(pad4(raw.length));
+  raw.copy(buf);
+  return buf;
+}
+
+// Numbers go out as int32 when whole, else float32; booleans as T/F
+function encode(address, args = []) {
+  let tags = ',';
+  const parts = [];
+  for (const a of args) {
+    if (a === true) tags += 'T';
+    else if (a === false) tags += 'F';
+    else if (a == null) tags += 'N';
+    else if (typeof a === 'number' && Number.isInteger(a)) { tags += 'i'; const b = Buffer.alloc(4); b.writeInt32BE(a); parts.push(b); }
+    else if (typeof a === 'number') { tags += 'f'; const b = Buffer.alloc(4); b.writeFloatBE(a); parts.push(b); }
+    else { tags += 's'; parts.push(writeString(String(a))); }
+  }
+  return Buffer.concat([writeString(address), writeString(tags), ...parts]);
+}
+
+module.exports = { decode, encode };
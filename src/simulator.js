@@ -0,0 +1,916 @@
+#!/usr/bin/env node
+/*
+ * PiTiZed camera simulator.
+ *
+ * Serves the PTZOptics HTTP-CGI endpoints (param.cgi, ptzctrl.cgi, snapshot),
+ * ONVIF device/media/PTZ/imaging services and a VISCA-over-IP UDP listener for
+ * one or more simulated cameras, so the app's real request, auth and parsing
+ * paths can be exercised without hardware. Generation 'onvif' drops the CGI API.
+ * WS-Discovery and SSDP responders answer probes for every simulated camera.
+ *
+ *   node src/simulator.js --cameras 3 --auth digest-md5,basic,authn --latency 40 --drop 0.02
+ *
+ * When forked by the app (process.send available) it starts with no cameras
+ * and adds them on request: { type: 'add', id, port } → { type: 'added', id, camera }.
+ * It first reports where its discovery responders listen: { type: 'discovery', wsdPort, ssdpPort }.
+ */
+const http = require('http');
+const dgram = require('dgram');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { TYPE, toNibbles, fromNibbles, signed16 } = require('./visca');
+const { xmlBlock, xmlText, xmlAttr } = require('./onvif');
+
+/* ── Options ──────────────────────────────────────────────────────────────── */
+const DEFAULTS = {
+  cameras: 2,
+  host: '127.0.0.1',
+  port: 8081,           // first HTTP port; camera n listens on port + n
+  viscaPort: 52381,     // first VISCA-over-IP port; camera n listens on viscaPort + n
+  auth: 'digest-md5',   // comma list, cycled across cameras
+  generation: 'g3',     // comma list, cycled: g2 serves /cgi-bin/snapshot.cgi, g3 only /snapshot.jpg, onvif no CGI at all
+  user: 'admin',
+  password: 'admin',
+  latency: 0,           // ms added to every reply
+  jitter: 0,            // ± ms random extra latency
+  drop: 0,              // probability a request/datagram is silently dropped
+  nonceTtl: 60,         // seconds before a digest/authn nonce goes stale
+  subject: 'walk',      // walk | static
+  fps: 10,              // MJPEG stream frame rate
+  wsdPort: 3702,        // WS-Discovery responder (0 = any free port, -1 = off)
+  ssdpPort: 1900        // SSDP responder (0 = any free port, -1 = off)
+};
+
+const AUTH_SCHEMES = ['none', 'basic', 'digest-md5', 'digest-sha256', 'authn', 'authn-cookie'];
+
+function parseArgs(argv) {
+  const opts = { ...DEFAULTS };
+  for (let i = 0; i < argv.length; i++) {
+    const m = /^--([\w-]+)$/.exec(argv[i]);
+    if (!m) continue;
+    const key = m[1].replace(/-(\w)/g, (_, ch) => ch.toUpperCase());
+    if (!(key in DEFAULTS)) { console.error(`[sim] Unknown option --${m[1]}`); process.exit(1); }
+    const val = argv[++i];
+    opts[key] = typeof DEFAULTS[key] === 'number' ? Number(val) : val;
+  }
+  return opts;
+}
+
+/* ── Camera state ─────────────────────────────────────────────────────────── */
+// World units: pan ±2400, tilt -400..1200, zoom 0..16384 (20x), focus 0..4095
+const LIMITS = { pan: [-2400, 2400], tilt: [-400, 1200], zoom: [0, 16384], focus: [0, 4095] };
+const FOCUS_IDEAL = 2048;
+
+// post_image_value API names → the cfg keys get_*_conf reports
+const CFG_KEY = {
+  wbmode: 'wb_mode', luminance: 'bright', aemode: 'exposure_mode', antiflicker: 'anti_flicker',
+  noise2d: 'nr2d', focusmode: 'focus_mode', scene: 'scene_mode'
+};
+
+const CONF_GROUPS = {
+  image: ['wb_mode', 'rgaintuning', 'bgaintuning', 'rgain', 'bgain', 'saturation', 'bright', 'contrast', 'hue', 'sharpness', 'nr2d'],
+  exposure: ['exposure_mode', 'gain', 'gainLimit', 'backlight', 'iris', 'shutter', 'drc', 'anti_flicker'],
+  focus: ['focus_mode']
+};
+
+function clampTo(v, [lo, hi]) { return Math.max(lo, Math.min(hi, v)); }
+
+function createCamera(n, opts) {
+  const schemes = opts.auth.split(',');
+  const gens = opts.generation.split(',');
+  const auth = schemes[n % schemes.length].trim();
+  if (!AUTH_SCHEMES.includes(auth)) throw new Error(`Unknown auth scheme: ${auth}`);
+  return {
+    n,
+    auth,
+    generation: gens[n % gens.length].trim(),
+    info: {
+      device_model: 'PTZOptics Simulator',
+      serial_number: `SIM${String(n + 1).padStart(5, '0')}`,
+      firmware_version: 'v9.9.9-sim',
+      mac: `02:50:54:5a:00:${(n + 1).toString(16).padStart(2, '0')}`
+    },
+    config: {
+      wb_mode: 0, rgaintuning: 10, bgaintuning: 10, rgain: 128, bgain: 128,
+      saturation: 4, bright: 7, contrast: 7, hue: 7, sharpness: 6, nr2d: 0,
+      exposure_mode: 0, gain: 0, gainLimit: 15, backlight: 3, iris: 0, shutter: 1, drc: 0, anti_flicker: 0,
+      focus_mode: 2
+    },
+    // Each simulated sensor has its own colour bias, so matching cameras takes different gains
+    sensor: { r: 1 + ((n * 37) % 11 - 5) * 0.02, b: 1 + ((n * 53) % 11 - 5) * 0.02 },
+    ptz: { pan: 0, tilt: 300, zoom: 0, focus: FOCUS_IDEAL },
+    motion: { pan: 0, tilt: 0, zoom: 0, focus: 0 },  // units per second
+    target: null,                                    // absolute move in progress
+    presets: new Map(),
+    presetNames: new Map(),  // ONVIF preset names by number
+    presetSpeed: 24,
+    overlay: {},
+    media: { video_ability: 'all-30fps', vinorm: 60, size_1: 'PIC_HD1080', protocol_1: 'H264', fps_1: 30, bps_1: 8192, rcmode_1: 'VBR', profile: 'highprofile' },
+    audio: { audio_switch: 0, samplerate: 48, streamrate: 128, volume_value: 15 },
+    network: { rtsp_auth_en: 0, onvif_en: 1, srt_en: 0 },
+    nonces: new Map()
+  };
+}
+
+/* ── Motion ───────────────────────────────────────────────────────────────── */
+const TICK_MS = 50;
+
+function panSpeedUnits(s) { return (Number(s) || 1) * 40; }
+function zoomSpeedUnits(s) { return ((Number(s) || 0) + 1) * 800; }
+
+const DIRS = {
+  up: [0, 1], down: [0, -1], left: [-1, 0], right: [1, 0],
+  upleft: [-1, 1], upright: [1, 1], downleft: [-1, -1], downright: [1, -1]
+};
+
+function drive(cam, dir, panSpeed, tiltSpeed) {
+  const d = DIRS[dir];
+  cam.target = null;
+  if (!d) { cam.motion.pan = 0; cam.motion.tilt = 0; return; }
+  cam.motion.pan = d[0] * panSpeedUnits(panSpeed);
+  cam.motion.tilt = d[1] * panSpeedUnits(tiltSpeed);
+}
+
+function moveTo(cam, pos, speed) {
+  cam.motion.pan = 0; cam.motion.tilt = 0;
+  cam.target = { ...cam.ptz, ...pos, speed: panSpeedUnits(speed) * 2 };
+}
+
+function tick(cam) {
+  const dt = TICK_MS / 1000;
+  for (const k of ['pan', 'tilt', 'zoom', 'focus']) {
+    if (cam.motion[k]) cam.ptz[k] = clampTo(cam.ptz[k] + cam.motion[k] * dt, LIMITS[k]);
+  }
+  if (cam.target) {
+    let done = true;
+    for (const k of ['pan', 'tilt', 'zoom']) {
+      const diff = cam.target[k] - cam.ptz[k];
+      const step = (k === 'zoom' ? cam.target.speed * 4 : cam.target.speed) * dt;
+      if (Math.abs(diff) > step) { cam.ptz[k] += Math.sign(diff) * step; done = false; }
+      else cam.ptz[k] = cam.target[k];
+    }
+    if (done) cam.target = null;
+  }
+  if (cam.config.focus_mode === 2) cam.ptz.focus += (FOCUS_IDEAL - cam.ptz.focus) * 0.3;
+}
+
+/* ── Scene rendering (PNG) ────────────────────────────────────────────────── */
+const FRAME_W = 480, FRAME_H = 270;
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+function crc32(buf) {
+  let c = -1;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ -1) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const len = Buffer.alloc(4); len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4); crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+function encodePng(w, h, rgb) {
+  const raw = Buffer.alloc((w * 3 + 1) * h);
+  for (let y = 0; y < h; y++) {
+    raw[y * (w * 3 + 1)] = 0; // filter: none
+    rgb.copy(raw, y * (w * 3 + 1) + 1, y * w * 3, (y + 1) * w * 3);
+  }
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(w, 0); ihdr.writeUInt32BE(h, 4);
+  ihdr[8] = 8; ihdr[9] = 2; // 8-bit truecolour
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', ihdr),
+    pngChunk('IDAT', zlib.deflateSync(raw, { level: 3 })),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+function subjectPosition(opts) {
+  if (opts.subject === 'static') return { x: 0, y: 0 };
+  const t = Date.now() / 1000;
+  return { x: Math.sin(t * 2 * Math.PI / 40) * 500, y: 0 };
+}
+
+// Base scene colour at a world point: wall, floor, stage lines and a person
+function sceneColour(wx, wy, subj) {
+  // Person: head circle + torso/legs box, standing with feet at y=-200
+  const dx = wx - subj.x;
+  if (Math.hypot(dx, wy - (subj.y + 330)) < 38) return [224, 172, 140];
+  if (Math.abs(dx) < 60 && wy > subj.y + 130 && wy < subj.y + 292) return [60, 90, 170];
+  if (Math.abs(dx) < 45 && wy > subj.y - 200 && wy <= subj.y + 130) return [50, 50, 60];
+  if (wy < -200) return [110, 82, 60];                                       // floor
+  if (Math.abs(((wx % 400) + 400) % 400 - 200) < 4) return [150, 150, 140];  // wall panel seams
+  if (Math.abs(wx - 900) < 160 && Math.abs(wy - 250) < 160) return [200, 200, 200]; // grey card
+  return [170 + wy / 40, 160 + wy / 40, 140 + wy / 50];                      // lit wall gradient
+}
+
+function renderFrame(cam, opts) {
+  const cfg = cam.config;
+  const subj = subjectPosition(opts);
+  const scale = 3 / (1 + cam.ptz.zoom / 16384 * 19);  // world units per pixel
+  const auto = cfg.wb_mode === 0 || cfg.wb_mode === 3 || cfg.wb_mode === 32;
+  // Auto WB mostly cancels the sensor bias; manual gains multiply it
+  const rGain = (auto ? 1 + (cfg.rgaintuning - 10) * 0.02 : cfg.rgain / 128 * cam.sensor.r) * (auto ? (1 + cam.sensor.r) / 2 : 1);
+  const bGain = (auto ? 1 + (cfg.bgaintuning - 10) * 0.02 : cfg.bgain / 128 * cam.sensor.b) * (auto ? (1 + cam.sensor.b) / 2 : 1);
+  const sat = 0.6 + cfg.saturation * 0.1;
+  const bright = (cfg.bright - 7) * 8 + cfg.gain * 6;
+  const contrast = 1 + (cfg.contrast - 7) * 0.05;
+
+  const rgb = Buffer.alloc(FRAME_W * FRAME_H * 3);
+  for (let y = 0; y < FRAME_H; y++) {
+    const wy = cam.ptz.tilt - (y - FRAME_H / 2) * scale;
+    for (let x = 0; x < FRAME_W; x++) {
+      const wx = cam.ptz.pan + (x - FRAME_W / 2) * scale;
+      let [r, g, b] = sceneColour(wx, wy, subj);
+      r *= rGain; b *= bGain;
+      const l = 0.299 * r + 0.587 * g + 0.114 * b;
+      r = l + (r - l) * sat; g = l + (g - l) * sat; b = l + (b - l) * sat;
+      const noise = (Math.random() - 0.5) * 6;
+      const o = (y * FRAME_W + x) * 3;
+      rgb[o] = clampTo((r - 128) * contrast + 128 + bright + noise, [0, 255]);
+      rgb[o + 1] = clampTo((g - 128) * contrast + 128 + bright + noise, [0, 255]);
+      rgb[o + 2] = clampTo((b - 128) * contrast + 128 + bright + noise, [0, 255]);
+    }
+  }
+  const blur = Math.round(Math.abs(cam.ptz.focus - FOCUS_IDEAL) / 300);
+  if (blur > 0) boxBlur(rgb, FRAME_W, FRAME_H, Math.min(blur, 8));
+  return encodePng(FRAME_W, FRAME_H, rgb);
+}
+
+// Separable box blur — stands in for defocus
+function boxBlur(rgb, w, h, r) {
+  const tmp = Buffer.alloc(rgb.length);
+  const pass = (src, dst, horizontal) => {
+    const len = horizontal ? w : h, lines = horizontal ? h : w;
+    for (let line = 0; line < lines; line++) {
+      for (let c = 0; c < 3; c++) {
+        const at = i => ((horizontal ? line * w + i : i * w + line) * 3) + c;
+        let sum = 0;
+        for (let i = -r; i <= r; i++) sum += src[at(clampTo(i, [0, len - 1]))];
+        for (let i = 0; i < len; i++) {
+          dst[at(i)] = sum / (2 * r + 1);
+          sum += src[at(Math.min(len - 1, i + r + 1))] - src[at(Math.max(0, i - r))];
+        }
+      }
+    }
+  };
+  pass(rgb, tmp, true);
+  pass(tmp, rgb, false);
+}
+
+/* ── HTTP authentication ──────────────────────────────────────────────────── */
+const REALM = 'PTZOptics';
+
+function hashFor(algo) {
+  const name = algo.toUpperCase().startsWith('SHA-256') ? 'sha256' : 'md5';
+  return s => crypto.createHash(name).update(s).digest('hex');
+}
+
+function parseAuthParams(header) {
+  const params = {};
+  const re = /(\w+)=(?:"([^"]*?)"|([^\s,]+))/g;
+  let m;
+  while ((m = re.exec(header)) !== null) params[m[1]] = m[2] !== undefined ? m[2] : m[3];
+  return params;
+}
+
+function issueNonce(cam) {
+  const nonce = crypto.randomBytes(12).toString('hex');
+  cam.nonces.set(nonce, Date.now());
+  return nonce;
+}
+
+// 'ok' | 'stale' | 'bad'
+function nonceState(cam, nonce, opts) {
+  const issued = cam.nonces.get(nonce);
+  if (!issued) return 'bad';
+  if (Date.now() - issued > opts.nonceTtl * 1000) { cam.nonces.delete(nonce); return 'stale'; }
+  return 'ok';
+}
+
+function challenge(cam, res, stale) {
+  const nonce = issueNonce(cam);
+  const headers = { 'Content-Type': 'text/html' };
+  if (cam.auth === 'basic') headers['WWW-Authenticate'] = `Basic realm="${REALM}"`;
+  if (cam.auth === 'digest-md5' || cam.auth === 'digest-sha256') {
+    const algo = cam.auth === 'digest-md5' ? 'MD5' : 'SHA-256';
+    headers['WWW-Authenticate'] = `Digest realm="${REALM}", qop="auth", nonce="${nonce}", opaque="${cam.info.serial_number}", algorithm=${algo}${stale ? ', stale=true' : ''}`;
+  }
+  if (cam.auth === 'authn') headers['WWW-Authenticate'] = `Authn realm="${REALM}", nonce="${nonce}"`;
+  if (cam.auth === 'authn' || cam.auth === 'authn-cookie') {
+    const tkt = Buffer.from(`${nonce}!${DEFAULTS.user}!${crypto.randomBytes(4).toString('hex')}`).toString('base64');
+    headers['Set-Cookie'] = `auth_tkt=${tkt}; Path=/`;
+  }
+  res.writeHead(401, headers);
+  res.end('<!DOCTYPE html><html><body>401 Unauthorized</body></html>');
+}
+
+// Returns true when the request carries valid credentials; otherwise answers 401 itself
+function authorize(cam, req, res, opts) {
+  if (cam.auth === 'none') return true;
+
+  if (cam.auth === 'basic') {
+    const h = req.headers.authorization || '';
+    const expected = Buffer.from(`${opts.user}:${opts.password}`).toString('base64');
+    if (h === `Basic ${expected}`) return true;
+    challenge(cam, res);
+    return false;
+  }
+
+  if (cam.auth.startsWith('digest')) {
+    const h = req.headers.authorization || '';
+    if (!h.toLowerCase().startsWith('digest')) { challenge(cam, res); return false; }
+    const p = parseAuthParams(h);
+    const state = nonceState(cam, p.nonce, opts);
+    if (state !== 'ok') { challenge(cam, res, state === 'stale'); return false; }
+    const algo = (p.algorithm || 'MD5').toUpperCase();
+    const hash = hashFor(algo);
+    let ha1 = hash(`${p.username}:${REALM}:${opts.password}`);
+    if (algo.endsWith('-SESS')) ha1 = hash(`${ha1}:${p.nonce}:${p.cnonce}`);
+    const ha2 = hash(`${req.method}:${p.uri}`);
+    const expected = p.qop
+      ? hash(`${ha1}:${p.nonce}:${p.nc}:${p.cnonce}:${p.qop}:${ha2}`)
+      : hash(`${ha1}:${p.nonce}:${ha2}`);
+    if (p.username === opts.user && p.uri === req.url && p.response === expected) return true;
+    challenge(cam, res);
+    return false;
+  }
+
+  // authn / authn-cookie: "auth_tkt: Authn username=..., nonce, uri, response, cnonce"
+  const h = req.headers['auth_tkt'] || '';
+  if (!h) { challenge(cam, res); return false; }
+  const p = parseAuthParams(h);
+  const state = nonceState(cam, p.nonce, opts);
+  if (state !== 'ok') { challenge(cam, res, state === 'stale'); return false; }
+  const hash = hashFor('SHA-256');
+  const realm = cam.auth === 'authn' ? REALM : '';
+  const ha1 = hash(`${p.username}:${realm}:${opts.password}`);
+  const ha2 = hash(`GET:${p.uri}`);
+  if (p.username === opts.user && p.response === hash(`${ha1}:${p.nonce}:${p.cnonce}:${ha2}`)) return true;
+  challenge(cam, res);
+  return false;
+}
+
+/* ── CGI endpoints ────────────────────────────────────────────────────────── */
+function kv(obj) {
+  return Object.entries(obj).map(([k, v]) => `${k}=${v}`).join('\n') + '\n';
+}
+
+function pick(obj, keys) {
+  return Object.fromEntries(keys.filter(k => k in obj).map(k => [k, obj[k]]));
+}
+
+function hexPos(hex) { return parseInt(hex, 16) || 0; }
+
+function handleParamCgi(cam, parts, method) {
+  const [action, ...args] = parts;
+  switch (action) {
+    case 'get_device_conf': return kv({ devname: `Sim Camera ${cam.n + 1}`, ...cam.info });
+    case 'get_image_conf': return kv(pick(cam.config, CONF_GROUPS.image));
+    case 'get_exposure_conf': return kv(pick(cam.config, CONF_GROUPS.exposure));
+    case 'get_focus_conf': return kv(pick(cam.config, CONF_GROUPS.focus));
+    case 'get_network_conf': return kv({ ipaddr: '127.0.0.1', mac: cam.info.mac, dhcp: 0, ...cam.network });
+    case 'get_server_conf': return kv({ http_port: 80, rtsp_port: 554 });
+    case 'get_user_conf': return kv({ username: DEFAULTS.user });
+    case 'get_trans_conf': return kv({ visca_port: 52381, tally: 0 });
+    case 'get_media_video': return kv(cam.media);
+    case 'get_media_audio': return kv(cam.audio);
+    case 'set_overlay': cam.overlay[args[0]] = args[1]; return 'ok\n';
+    case 'navigate_mode': return 'ok\n';
+    case 'pan_tiltdrive_reset': moveTo(cam, { pan: 0, tilt: 300 }, 24); return 'ok\n';
+    case 'ptzcmd': return 'ok\n'; // lock_mfocus / unlock_mfocus
+    case 'post_ir_info=': return 'ok\n';
+  }
+  if (action.startsWith('post_') && method !== 'POST') return null;
+  const assign = (target) => { for (const a of args) { const [k, v] = a.split('='); if (k) target[k] = isNaN(v) ? v : Number(v); } };
+  if (action === 'post_media_video') { assign(cam.media); return 'ok\n'; }
+  if (action === 'post_media_audio') { assign(cam.audio); return 'ok\n'; }
+  if (action === 'post_network_other_conf') { assign(cam.network); return 'ok\n'; }
+  if (action === 'post_reboot') { cam.motion = { pan: 0, tilt: 0, zoom: 0, focus: 0 }; return 'ok\n'; }
+  return null;
+}
+
+function handlePtzCmd(cam, args) {
+  const [cmd, a, b] = args;
+  if (DIRS[cmd]) { drive(cam, cmd, a, b); return true; }
+  switch (cmd) {
+    case 'ptzstop': drive(cam, null); return true;
+    case 'home': moveTo(cam, { pan: 0, tilt: 300 }, 24); return true;
+    case 'posset': cam.presets.set(Number(a), { pan: cam.ptz.pan, tilt: cam.ptz.tilt, zoom: cam.ptz.zoom }); return true;
+    case 'poscall': if (cam.presets.has(Number(a))) moveTo(cam, cam.presets.get(Number(a)), cam.presetSpeed); return true;
+    case 'zoomin': cam.target = null; cam.motion.zoom = zoomSpeedUnits(a); return true;
+    case 'zoomout': cam.target = null; cam.motion.zoom = -zoomSpeedUnits(a); return true;
+    case 'zoomstop': cam.motion.zoom = 0; return true;
+    case 'zoomto': moveTo(cam, { zoom: clampTo(hexPos(b), LIMITS.zoom) }, a); return true;
+    case 'focusin': cam.motion.focus = -zoomSpeedUnits(a) / 4; return true;
+    case 'focusout': cam.motion.focus = zoomSpeedUnits(a) / 4; return true;
+    case 'focusstop': cam.motion.focus = 0; return true;
+    case 'up_osd': case 'down_osd': case 'confirm': case 'osd_back': return true;
+  }
+  return false;
+}
+
+function handlePtzctrlCgi(cam, parts) {
+  const [action, ...args] = parts;
+  if (action === 'ptzcmd') return handlePtzCmd(cam, args) ? 'ok\n' : null;
+  if (action === 'post_image_value') {
+    const [param, value] = args;
+    const key = CFG_KEY[param] || param;
+    const num = Number(value);
+    if (param === 'autotrack' || param === 'trackpreset') { cam.overlay[param] = value; return 'ok\n'; }
+    cam.config[key] = isNaN(num) ? value : num;
+    return 'ok\n';
+  }
+  return null;
+}
+
+// multipart/x-mixed-replace stream; --drop skips individual frames
+function streamMjpeg(cam, opts, req, res) {
+  const boundary = 'simframe';
+  res.writeHead(200, { 'Content-Type': `multipart/x-mixed-replace; boundary=${boundary}`, 'Cache-Control': 'no-cache' });
+  const timer = setInterval(() => {
+    if (opts.drop > 0 && Math.random() < opts.drop) return;
+    const frame = renderFrame(cam, opts);
+    res.write(`--${boundary}\r\nContent-Type: image/png\r\nContent-Length: ${frame.length}\r\n\r\n`);
+    res.write(frame);
+    res.write('\r\n');
+  }, 1000 / opts.fps);
+  res.on('close', () => clearInterval(timer));
+}
+
+function handleHttp(cam, opts, req, res) {
+  const send = (status, body, type = 'text/plain') => {
+    res.writeHead(status, { 'Content-Type': type, 'Content-Length': Buffer.byteLength(body) });
+    res.end(body);
+  };
+
+  // A malformed target or %-escape answers 400 rather than taking every simulated camera down
+  let url, parts;
+  try {
+    url = new URL(req.url, 'http://sim');
+    parts = url.search.slice(1).split('&').map(decodeURIComponent);
+  } catch (err) {
+    return send(400, `Bad Request: ${err.message}\n`);
+  }
+
+  // ONVIF authenticates inside the SOAP envelope
+  if (cam.network.onvif_en && Object.values(ONVIF_SERVICES).includes(url.pathname)) return handleOnvif(cam, opts, req, res);
+  // UPnP descriptions are public on real cameras too
+  if (url.pathname !== '/description.xml' && !authorize(cam, req, res, opts)) return;
+
+  if (url.pathname === ONVIF_SNAPSHOT && cam.network.onvif_en) return send(200, renderFrame(cam, opts), 'image/png');
+  if (cam.generation === 'onvif') return send(404, '<!DOCTYPE html><html><body>404 Not Found</body></html>', 'text/html');
+  if (url.pathname === '/description.xml') return send(200, upnpDescription(cam), 'text/xml');
+  if (url.pathname === '/mjpg/video.mjpg') return streamMjpeg(cam, opts, req, res);
+  if (url.pathname === '/snapshot.jpg' || (url.pathname === '/cgi-bin/snapshot.cgi' && cam.generation === 'g2')) {
+    // Frames are PNG, served under the camera's JPEG path
+    return send(200, renderFrame(cam, opts), 'image/png');
+  }
+  if (url.pathname === '/cgi-bin/param.cgi') {
+    const body = handleParamCgi(cam, parts, req.method);
+    return body === null ? send(404, '<!DOCTYPE html><html><body>404 Not Found</body></html>', 'text/html') : send(200, body);
+  }
+  if (url.pathname === '/cgi-bin/ptzctrl.cgi') {
+    const body = handlePtzctrlCgi(cam, parts);
+    return body === null ? send(404, '<!DOCTYPE html><html><body>404 Not Found</body></html>', 'text/html') : send(200, body);
+  }
+  send(404, '<!DOCTYPE html><html><body>404 Not Found</body></html>', 'text/html');
+}
+
+/* ── VISCA over IP ────────────────────────────────────────────────────────── */
+const DRIVE_DIRS = { '3,1': 'up', '3,2': 'down', '1,3': 'left', '2,3': 'right', '1,1': 'upleft', '2,1': 'upright', '1,2': 'downleft', '2,2': 'downright' };
+
+// Executes a VISCA command payload; returns false for unsupported commands
+function viscaCommand(cam, p) {
+  const op = (p[2] << 8) | p[3];
+  if (op === 0x0601 && p.length === 6) { cam.presetSpeed = p[4]; return true; }
+  if (op === 0x0601) { drive(cam, DRIVE_DIRS[`${p[6]},${p[7]}`] || null, p[4], p[5]); return true; }
+  if (op === 0x0602 || op === 0x0603) {
+    const pan = signed16(fromNibbles(p.subarray(6, 10))), tilt = signed16(fromNibbles(p.subarray(10, 14)));
+    const rel = op === 0x0603;
+    moveTo(cam, { pan: clampTo((rel ? cam.ptz.pan : 0) + pan, LIMITS.pan), tilt: clampTo((rel ? cam.ptz.tilt : 0) + tilt, LIMITS.tilt) }, p[4]);
+    return true;
+  }
+  if (op === 0x0604) { moveTo(cam, { pan: 0, tilt: 300 }, 24); return true; }
+  if (op === 0x0407) {
+    const dir = p[4] & 0xf0, s = p[4] & 0x0f;
+    cam.target = null;
+    cam.motion.zoom = dir === 0x20 ? zoomSpeedUnits(s) : dir === 0x30 ? -zoomSpeedUnits(s) : 0;
+    return true;
+  }
+  if (op === 0x0447) { moveTo(cam, { zoom: clampTo(fromNibbles(p.subarray(4, 8)), LIMITS.zoom) }, 24); return true; }
+  if (op === 0x0408) {
+    const dir = p[4] & 0xf0, s = p[4] & 0x0f;
+    cam.motion.focus = dir === 0x20 ? zoomSpeedUnits(s) / 4 : dir === 0x30 ? -zoomSpeedUnits(s) / 4 : 0;
+    return true;
+  }
+  if (op === 0x0438) { cam.config.focus_mode = p[4] === 0x03 ? 3 : 2; return true; }
+  if (op === 0x0418) { cam.ptz.focus = FOCUS_IDEAL; return true; }
+  if (op === 0x0448) { cam.ptz.focus = clampTo(fromNibbles(p.subarray(4, 8)), LIMITS.focus); return true; }
+  if (op === 0x043f) {
+    const slot = p[5];
+    if (p[4] === 0x01) cam.presets.set(slot, { pan: cam.ptz.pan, tilt: cam.ptz.tilt, zoom: cam.ptz.zoom });
+    if (p[4] === 0x02 && cam.presets.has(slot)) moveTo(cam, cam.presets.get(slot), cam.presetSpeed);
+    if (p[4] === 0x00) cam.presets.delete(slot);
+    return true;
+  }
+  return false;
+}
+
+// Returns the inquiry reply data bytes, or null when unsupported
+function viscaInquiry(cam, p) {
+  const op = (p[2] << 8) | p[3];
+  if (op === 0x0612) return [...toNibbles(Math.round(cam.ptz.pan)), ...toNibbles(Math.round(cam.ptz.tilt))];
+  if (op === 0x0447) return toNibbles(Math.round(cam.ptz.zoom));
+  if (op === 0x0448) return toNibbles(Math.round(cam.ptz.focus));
+  if (op === 0x0002) return [0x00, 0x01, 0x05, 0x11, 0x09, 0x99, 0x02]; // version
+  return null;
+}
+
+function handleVisca(cam, opts, sock, msg, rinfo) {
+  if (msg.length < 8) return;
+  const type = msg.readUInt16BE(0);
+  const seq = msg.readUInt32BE(4);
+  const p = msg.subarray(8, 8 + msg.readUInt16BE(2));
+  const reply = (t, bytes) => {
+    const out = Buffer.alloc(8 + bytes.length);
+    out.writeUInt16BE(t, 0); out.writeUInt16BE(bytes.length, 2); out.writeUInt32BE(seq, 4);
+    Buffer.from(bytes).copy(out, 8);
+    sock.send(out, rinfo.port, rinfo.address);
+  };
+
+  if (type === TYPE.CONTROL) return reply(TYPE.CONTROL_REPLY, [0x01]);
+  if (type === TYPE.COMMAND) {
+    reply(TYPE.REPLY, [0x90, 0x41, 0xff]);
+    if (viscaCommand(cam, p)) reply(TYPE.REPLY, [0x90, 0x51, 0xff]);
+    else reply(TYPE.REPLY, [0x90, 0x61, 0x02, 0xff]);
+    return;
+  }
+  if (type === TYPE.INQUIRY) {
+    const data = viscaInquiry(cam, p);
+    reply(TYPE.REPLY, data ? [0x90, 0x50, ...data, 0xff] : [0x90, 0x60, 0x02, 0xff]);
+  }
+}
+
+/* ── Discovery responders (WS-Discovery, SSDP) ────────────────────────────── */
+// Answer unicast probes on opts.host, one reply per simulated camera, the way
+// a subnet of real cameras would answer the multicast ones.
+function camUuid(cam) {
+  return `5053494d-0000-4000-8000-${cam.info.mac.replace(/:/g, '')}`;
+}
+
+function probeMatch(cam, relatesTo) {
+  const scopes = [
+    'onvif://www.onvif.org/type/video_encoder',
+    'onvif://www.onvif.org/type/ptz',
+    `onvif://www.onvif.org/hardware/${encodeURIComponent(cam.info.device_model)}`,
+    `onvif://www.onvif.org/name/${encodeURIComponent(`Sim Camera ${cam.n + 1}`)}`
+  ];
+  return '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope" xmlns:a="http://schemas.xmlsoap.org/ws/2004/08/addressing" ' +
+    'xmlns:d="http://schemas.xmlsoap.org/ws/2005/04/discovery" xmlns:dn="http://www.onvif.org/ver10/network/wsdl" xmlns:tds="http://www.onvif.org/ver10/device/wsdl">' +
+    `<s:Header><a:MessageID>urn:uuid:${crypto.randomUUID()}</a:MessageID><a:RelatesTo>${relatesTo}</a:RelatesTo>` +
+    '<a:Action>http://schemas.xmlsoap.org/ws/2005/04/discovery/ProbeMatches</a:Action></s:Header>' +
+    `<s:Body><d:ProbeMatches><d:ProbeMatch><a:EndpointReference><a:Address>urn:uuid:${camUuid(cam)}</a:Address></a:EndpointReference>` +
+    `<d:Types>dn:NetworkVideoTransmitter tds:Device</d:Types><d:Scopes>${scopes.join(' ')}</d:Scopes>` +
+    `<d:XAddrs>http://${cam.address.ip}/onvif/device_service</d:XAddrs><d:MetadataVersion>1</d:MetadataVersion>` +
+    '</d:ProbeMatch></d:ProbeMatches></s:Body></s:Envelope>';
+}
+
+function handleWsd(opts, sock, msg, rinfo) {
+  const xml = msg.toString('utf8');
+  if (!/<(\w+:)?Probe>/.test(xml)) return;
+  const relatesTo = (/<(?:\w+:)?MessageID>([^<]+)</.exec(xml) || [])[1] || '';
+  for (const cam of cameras) {
+    if (!cam.network.onvif_en) continue;
+    delayed(opts, () => sock.send(probeMatch(cam, relatesTo), rinfo.port, rinfo.address));
+  }
+}
+
+function handleSsdp(opts, sock, msg, rinfo) {
+  const text = msg.toString('utf8');
+  if (!text.startsWith('M-SEARCH')) return;
+  const st = (/^ST:\s*(.+?)\s*$/im.exec(text) || [])[1] || 'ssdp:all';
+  if (st !== 'ssdp:all' && st !== 'upnp:rootdevice') return;
+  for (const cam of cameras) {
+    const reply = [
+      'HTTP/1.1 200 OK',
+      'CACHE-CONTROL: max-age=1800',
+      'EXT:',
+      `LOCATION: http://${cam.address.ip}/description.xml`,
+      'SERVER: Linux/4.9 UPnP/1.0 PTZOptics-Simulator/1.0',
+      'ST: upnp:rootdevice',
+      `USN: uuid:${camUuid(cam)}::upnp:rootdevice`,
+      '', ''
+    ].join('\r\n');
+    delayed(opts, () => sock.send(reply, rinfo.port, rinfo.address));
+  }
+}
+
+function upnpDescription(cam) {
+  return '<?xml version="1.0"?><root xmlns="urn:schemas-upnp-org:device-1-0"><device>' +
+    `<deviceType>urn:schemas-upnp-org:device:Basic:1</deviceType><friendlyName>Sim Camera ${cam.n + 1}</friendlyName>` +
+    `<manufacturer>PTZOptics</manufacturer><modelName>${cam.info.device_model}</modelName>` +
+    `<serialNumber>${cam.info.serial_number}</serialNumber><UDN>uuid:${camUuid(cam)}</UDN></device></root>`;
+}
+
+// A taken well-known port (a real SSDP daemon, say) only costs that responder
+async function startResponder(name, port, opts, handler) {
+  if (port < 0) return null;
+  const sock = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+  sock.on('message', (msg, rinfo) => handler(opts, sock, msg, rinfo));
+  try {
+    const bound = await bindUdp(sock, port, opts.host);
+    // A failed reply (unreachable sender, say) is logged — the responder keeps listening
+    sock.on('error', err => console.error(`[sim] ${name} responder: ${err.message}`));
+    console.log(`[sim] ${name} responder: udp ${opts.host}:${bound}`);
+    return bound;
+  } catch (err) {
+    console.error(`[sim] ${name} responder disabled: ${err.message}`);
+    sock.close();
+    return null;
+  }
+}
+
+/* ── ONVIF services (device, media, PTZ, imaging) ─────────────────────────── */
+// Just the calls the app's ONVIF driver makes. Credentials come as a WS-Security
+// UsernameToken (PasswordDigest) rather than HTTP auth; cameras with auth 'none'
+// accept anything. Imaging values live in the same cfg the CGI API reports,
+// scaled to ONVIF's 0–100 ranges.
+const ONVIF_SERVICES = { device: '/onvif/device_service', media: '/onvif/media_service', ptz: '/onvif/ptz_service', imaging: '/onvif/imaging_service' };
+const ONVIF_SNAPSHOT = '/onvif/snapshot.jpg';
+const ONVIF_TOKEN_SKEW_MS = 5 * 60 * 1000;
+const ONVIF_LEVELS = { Brightness: ['bright', 14], ColorSaturation: ['saturation', 14], Contrast: ['contrast', 14], Sharpness: ['sharpness', 16] };
+const ONVIF_NS = 'xmlns:s="http://www.w3.org/2003/05/soap-envelope" xmlns:tt="http://www.onvif.org/ver10/schema" ' +
+  'xmlns:tds="http://www.onvif.org/ver10/device/wsdl" xmlns:trt="http://www.onvif.org/ver10/media/wsdl" ' +
+  'xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl" xmlns:timg="http://www.onvif.org/ver20/imaging/wsdl" xmlns:ter="http://www.onvif.org/ver10/error"';
+
+function soap(body) {
+  return `<?xml version="1.0" encoding="UTF-8"?><s:Envelope ${ONVIF_NS}><s:Body>${body}</s:Body></s:Envelope>`;
+}
+
+function soapFault(subcode, reason) {
+  return soap('<s:Fault><s:Code><s:Value>s:Sender</s:Value>' +
+    `<s:Subcode><s:Value>ter:${subcode}</s:Value></s:Subcode></s:Code><s:Reason><s:Text xml:lang="en">${reason}</s:Text></s:Reason></s:Fault>`);
+}
+
+function usernameTokenValid(xml, opts) {
+  const token = xmlBlock(xml, 'UsernameToken');
+  if (token === null) return false;
+  const created = xmlText(token, 'Created'), nonce = xmlText(token, 'Nonce') || '';
+  const digest = crypto.createHash('sha1').update(Buffer.concat([Buffer.from(nonce, 'base64'), Buffer.from(`${created}${opts.password}`)])).digest('base64');
+  return xmlText(token, 'Username') === opts.user && xmlText(token, 'Password') === digest &&
+    Math.abs(Date.now() - Date.parse(created)) < ONVIF_TOKEN_SKEW_MS;
+}
+
+function onvifImaging(cam) {
+  const c = cam.config;
+  const levels = Object.entries(ONVIF_LEVELS).map(([tag, [key, max]]) => `<tt:${tag}>${Math.round(c[key] / max * 100)}</tt:${tag}>`).join('');
+  return `<tt:BacklightCompensation><tt:Mode>${c.backlight === 2 ? 'ON' : 'OFF'}</tt:Mode></tt:BacklightCompensation>${levels}` +
+    `<tt:Exposure><tt:Mode>${c.exposure_mode === 0 ? 'AUTO' : 'MANUAL'}</tt:Mode></tt:Exposure>` +
+    `<tt:Focus><tt:AutoFocusMode>${c.focus_mode === 2 ? 'AUTO' : 'MANUAL'}</tt:AutoFocusMode></tt:Focus>` +
+    `<tt:WhiteBalance><tt:Mode>${c.wb_mode === 0 ? 'AUTO' : 'MANUAL'}</tt:Mode><tt:CrGain>${c.rgain}</tt:CrGain><tt:CbGain>${c.bgain}</tt:CbGain></tt:WhiteBalance>`;
+}
+
+function setOnvifImaging(cam, xml) {
+  const c = cam.config;
+  for (const [tag, [key, max]] of Object.entries(ONVIF_LEVELS)) {
+    const v = xmlText(xml, tag);
+    if (v !== null) c[key] = clampTo(Math.round(Number(v) / 100 * max), [0, max]);
+  }
+  const mode = (...path) => xmlText(xml, ...path);
+  if (mode('BacklightCompensation', 'Mode')) c.backlight = mode('BacklightCompensation', 'Mode') === 'ON' ? 2 : 3;
+  if (mode('Exposure', 'Mode')) c.exposure_mode = mode('Exposure', 'Mode') === 'AUTO' ? 0 : 3;
+  if (mode('Focus', 'AutoFocusMode')) c.focus_mode = mode('Focus', 'AutoFocusMode') === 'AUTO' ? 2 : 3;
+  if (mode('WhiteBalance', 'Mode')) c.wb_mode = mode('WhiteBalance', 'Mode') === 'AUTO' ? 0 : 5;
+  if (mode('WhiteBalance', 'CrGain')) c.rgain = clampTo(Math.round(Number(mode('WhiteBalance', 'CrGain'))), [0, 255]);
+  if (mode('WhiteBalance', 'CbGain')) c.bgain = clampTo(Math.round(Number(mode('WhiteBalance', 'CbGain'))), [0, 255]);
+}
+
+// Thrown by onvifAction for a request it refuses, e.g. an unknown token
+function onvifFault(subcode, reason) {
+  return Object.assign(new Error(reason), { subcode });
+}
+
+// Preset tokens are opaque to clients; presets themselves are numbered like CGI/VISCA slots
+const presetToken = n => `PresetToken_${n}`;
+const presetOfToken = token => Number((/^PresetToken_(\d+)$/.exec(token || '') || [])[1]) || null;
+
+// x/y of a vector element such as <tt:PanTilt x="0.5" y="0"/> inside `block`
+function vector(block, tag) {
+  const m = new RegExp(`<(?:\\w+:)?${tag}(\\s[^>]*?)/?>`).exec(block || '');
+  return m ? { x: Number(xmlAttr(m[1], 'x')) || 0, y: Number(xmlAttr(m[1], 'y')) || 0 } : null;
+}
+
+// Returns the response body for one action, or null when it isn't implemented
+function onvifAction(cam, action, xml) {
+  const now = new Date();
+  switch (action) {
+    case 'GetSystemDateAndTime':
+      return '<tds:GetSystemDateAndTimeResponse><tds:SystemDateAndTime><tt:DateTimeType>NTP</tt:DateTimeType><tt:UTCDateTime>' +
+        `<tt:Time><tt:Hour>${now.getUTCHours()}</tt:Hour><tt:Minute>${now.getUTCMinutes()}</tt:Minute><tt:Second>${now.getUTCSeconds()}</tt:Second></tt:Time>` +
+        `<tt:Date><tt:Year>${now.getUTCFullYear()}</tt:Year><tt:Month>${now.getUTCMonth() + 1}</tt:Month><tt:Day>${now.getUTCDate()}</tt:Day></tt:Date>` +
+        '</tt:UTCDateTime></tds:SystemDateAndTime></tds:GetSystemDateAndTimeResponse>';
+    case 'GetCapabilities':
+      return '<tds:GetCapabilitiesResponse><tds:Capabilities>' +
+        `<tt:Device><tt:XAddr>http://${cam.address.ip}${ONVIF_SERVICES.device}</tt:XAddr></tt:Device>` +
+        `<tt:Imaging><tt:XAddr>http://${cam.address.ip}${ONVIF_SERVICES.imaging}</tt:XAddr></tt:Imaging>` +
+        `<tt:Media><tt:XAddr>http://${cam.address.ip}${ONVIF_SERVICES.media}</tt:XAddr></tt:Media>` +
+        `<tt:PTZ><tt:XAddr>http://${cam.address.ip}${ONVIF_SERVICES.ptz}</tt:XAddr></tt:PTZ>` +
+        '</tds:Capabilities></tds:GetCapabilitiesResponse>';
+    case 'GetDeviceInformation':
+      return `<tds:GetDeviceInformationResponse><tds:Manufacturer>PTZOptics</tds:Manufacturer><tds:Model>${cam.info.device_model}</tds:Model>` +
+        `<tds:FirmwareVersion>${cam.info.firmware_version}</tds:FirmwareVersion><tds:SerialNumber>${cam.info.serial_number}</tds:SerialNumber>` +
+        '<tds:HardwareId>SIM</tds:HardwareId></tds:GetDeviceInformationResponse>';
+    case 'SystemReboot':
+      cam.motion = { pan: 0, tilt: 0, zoom: 0, focus: 0 };
+      return '<tds:SystemRebootResponse><tds:Message>Rebooting</tds:Message></tds:SystemRebootResponse>';
+    case 'GetProfiles':
+      return '<trt:GetProfilesResponse><trt:Profiles token="Profile_1" fixed="true"><tt:Name>MainStream</tt:Name>' +
+        '<tt:VideoSourceConfiguration token="VideoSourceConfig_1"><tt:Name>VideoSource</tt:Name><tt:SourceToken>VideoSource_1</tt:SourceToken></tt:VideoSourceConfiguration>' +
+        '<tt:PTZConfiguration token="PTZConfig_1"><tt:Name>PTZ</tt:Name><tt:NodeToken>PTZNode_1</tt:NodeToken></tt:PTZConfiguration>' +
+        '</trt:Profiles></trt:GetProfilesResponse>';
+    case 'GetSnapshotUri':
+      return `<trt:GetSnapshotUriResponse><trt:MediaUri><tt:Uri>http://${cam.address.ip}${ONVIF_SNAPSHOT}</tt:Uri>` +
+        '<tt:InvalidAfterConnect>false</tt:InvalidAfterConnect><tt:InvalidAfterReboot>false</tt:InvalidAfterReboot><tt:Timeout>PT0S</tt:Timeout></trt:MediaUri></trt:GetSnapshotUriResponse>';
+    case 'ContinuousMove': {
+      const pt = vector(xmlBlock(xml, 'Velocity'), 'PanTilt'), z = vector(xmlBlock(xml, 'Velocity'), 'Zoom');
+      cam.target = null;
+      if (pt) { cam.motion.pan = pt.x * panSpeedUnits(24); cam.motion.tilt = pt.y * panSpeedUnits(20); }
+      if (z) cam.motion.zoom = z.x * zoomSpeedUnits(7);
+      return '<tptz:ContinuousMoveResponse/>';
+    }
+    case 'Stop':
+      if (xmlText(xml, 'VideoSourceToken') !== null) { cam.motion.focus = 0; return '<timg:StopResponse/>'; }
+      if (xmlText(xml, 'PanTilt') !== 'false') { cam.motion.pan = 0; cam.motion.tilt = 0; }
+      if (xmlText(xml, 'Zoom') !== 'false') cam.motion.zoom = 0;
+      return '<tptz:StopResponse/>';
+    case 'AbsoluteMove': {
+      const z = vector(xmlBlock(xml, 'Position'), 'Zoom'), speed = vector(xmlBlock(xml, 'Speed'), 'Zoom');
+      if (z) moveTo(cam, { zoom: clampTo(Math.round(z.x * LIMITS.zoom[1]), LIMITS.zoom) }, (speed ? speed.x : 1) * 7);
+      return '<tptz:AbsoluteMoveResponse/>';
+    }
+    case 'GotoHomePosition':
+      moveTo(cam, { pan: 0, tilt: 300 }, 24);
+      return '<tptz:GotoHomePositionResponse/>';
+    case 'SetPreset': {
+      // Like real cameras, tokens are ours to assign; a given token must already exist
+      const given = xmlText(xml, 'PresetToken');
+      let n = given ? presetOfToken(given) : null;
+      if (given && !cam.presets.has(n)) throw onvifFault('NoToken', 'No such preset token');
+      if (!given) for (n = 1; cam.presets.has(n); n++);
+      cam.presets.set(n, { pan: cam.ptz.pan, tilt: cam.ptz.tilt, zoom: cam.ptz.zoom });
+      cam.presetNames.set(n, xmlText(xml, 'PresetName') || `Preset ${n}`);
+      return `<tptz:SetPresetResponse><tptz:PresetToken>${presetToken(n)}</tptz:PresetToken></tptz:SetPresetResponse>`;
+    }
+    case 'GotoPreset': {
+      const preset = cam.presets.get(presetOfToken(xmlText(xml, 'PresetToken')));
+      if (!preset) throw onvifFault('NoToken', 'No such preset token');
+      moveTo(cam, preset, cam.presetSpeed);
+      return '<tptz:GotoPresetResponse/>';
+    }
+    case 'GetPresets':
+      return '<tptz:GetPresetsResponse>' + [...cam.presets.keys()].map(n =>
+        `<tptz:Preset token="${presetToken(n)}"><tt:Name>${cam.presetNames.get(n) || `Preset ${n}`}</tt:Name></tptz:Preset>`).join('') + '</tptz:GetPresetsResponse>';
+    case 'GetImagingSettings':
+      return `<timg:GetImagingSettingsResponse><timg:ImagingSettings>${onvifImaging(cam)}</timg:ImagingSettings></timg:GetImagingSettingsResponse>`;
+    case 'GetOptions': {
+      const range = tag => `<tt:${tag}><tt:Min>0</tt:Min><tt:Max>100</tt:Max></tt:${tag}>`;
+      return '<timg:GetOptionsResponse><timg:ImagingOptions>' +
+        '<tt:BacklightCompensation><tt:Mode>OFF</tt:Mode><tt:Mode>ON</tt:Mode></tt:BacklightCompensation>' +
+        Object.keys(ONVIF_LEVELS).map(range).join('') +
+        '<tt:Exposure><tt:Mode>AUTO</tt:Mode><tt:Mode>MANUAL</tt:Mode></tt:Exposure>' +
+        '<tt:Focus><tt:AutoFocusModes>AUTO</tt:AutoFocusModes><tt:AutoFocusModes>MANUAL</tt:AutoFocusModes></tt:Focus>' +
+        '<tt:WhiteBalance><tt:Mode>AUTO</tt:Mode><tt:Mode>MANUAL</tt:Mode><tt:YrGain><tt:Min>0</tt:Min><tt:Max>255</tt:Max></tt:YrGain>' +
+        '<tt:YbGain><tt:Min>0</tt:Min><tt:Max>255</tt:Max></tt:YbGain></tt:WhiteBalance>' +
+        '</timg:ImagingOptions></timg:GetOptionsResponse>';
+    }
+    case 'SetImagingSettings':
+      setOnvifImaging(cam, xmlBlock(xml, 'ImagingSettings') || '');
+      return '<timg:SetImagingSettingsResponse/>';
+    case 'Move': {
+      const speed = Number(xmlText(xml, 'Focus', 'Continuous', 'Speed')) || 0;
+      cam.motion.focus = speed * zoomSpeedUnits(7) / 4;
+      return '<timg:MoveResponse/>';
+    }
+  }
+  return null;
+}
+
+function handleOnvif(cam, opts, req, res) {
+  let xml = '';
+  req.on('data', c => xml += c);
+  req.on('end', () => {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/soap+xml; charset=utf-8', 'Content-Length': Buffer.byteLength(body) });
+      res.end(body);
+    };
+    const action = (/<(?:\w+:)?Body[^>]*>\s*<(?:\w+:)?(\w+)/.exec(xml) || [])[1];
+    if (!action) return send(400, soapFault('InvalidArgVal', 'No action in request body'));
+    if (action !== 'GetSystemDateAndTime' && cam.auth !== 'none' && !usernameTokenValid(xml, opts)) {
+      return send(400, soapFault('NotAuthorized', 'Sender not Authorized'));
+    }
+    let body;
+    try { body = onvifAction(cam, action, xml); }
+    catch (err) { return send(400, soapFault(err.subcode || 'Action', err.message)); }
+    if (body === null) return send(400, soapFault('ActionNotSupported', `${action} is not supported`));
+    send(200, soap(body));
+  });
+}
+
+/* ── Fault injection ──────────────────────────────────────────────────────── */
+function delayed(opts, fn) {
+  if (opts.drop > 0 && Math.random() < opts.drop) return false;
+  const ms = opts.latency + (opts.jitter ? (Math.random() * 2 - 1) * opts.jitter : 0);
+  if (ms > 0) setTimeout(fn, ms); else fn();
+  return true;
+}
+
+/* ── Server ───────────────────────────────────────────────────────────────── */
+const cameras = [];
+
+function listen(server, port, host) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => { server.removeListener('error', reject); resolve(server.address().port); });
+  });
+}
+
+function bindUdp(sock, port, host) {
+  return new Promise((resolve, reject) => {
+    sock.once('error', reject);
+    sock.bind(port, host, () => { sock.removeListener('error', reject); resolve(sock.address().port); });
+  });
+}
+
+async function addCamera(opts, httpPort, viscaPort) {
+  const cam = createCamera(cameras.length, opts);
+
+  const server = http.createServer((req, res) => {
+    // Dropped requests hang until the client gives up
+    if (!delayed(opts, () => handleHttp(cam, opts, req, res))) setTimeout(() => req.socket.destroy(), 10000);
+  });
+  const port = await listen(server, httpPort, opts.host);
+
+  const sock = dgram.createSocket('udp4');
+  sock.on('message', (msg, rinfo) => delayed(opts, () => handleVisca(cam, opts, sock, msg, rinfo)));
+  let vPort;
+  try {
+    vPort = await bindUdp(sock, viscaPort, opts.host);
+  } catch (err) {
+    // Don't leave the HTTP port held by a camera that never came up
+    server.close();
+    sock.close();
+    throw err;
+  }
+  sock.on('error', err => console.error(`[sim] Camera ${cam.n + 1} VISCA: ${err.message}`));
+
+  cam.timer = setInterval(() => tick(cam), TICK_MS);
+  cam.address = { ip: `${opts.host}:${port}`, httpPort: port, viscaPort: vPort };
+  cam.close = () => { clearInterval(cam.timer); server.close(); sock.close(); };
+  cameras.push(cam);
+  console.log(`[sim] Camera ${cam.n + 1}: http://${cam.address.ip} · VISCA udp ${vPort} · auth ${cam.auth} · ${cam.generation}`);
+  return cam;
+}
+
+function describe(cam) {
+  return { ip: cam.address.ip, viscaPort: cam.address.viscaPort, name: `Sim ${cam.n + 1}`, auth: cam.auth, serial: cam.info.serial_number };
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+
+  for (let n = 0; n < opts.cameras; n++) {
+    await addCamera(opts, opts.port ? opts.port + n : 0, opts.viscaPort ? opts.viscaPort + n : 0);
+  }
+  const wsdPort = await startResponder('WS-Discovery', opts.wsdPort, opts, handleWsd);
+  const ssdpPort = await startResponder('SSDP', opts.ssdpPort, opts, handleSsdp);
+
+  // Embedded mode: the app asks for cameras one at a time
+  if (process.send) {
+    process.send({ type: 'discovery', wsdPort, ssdpPort });
+    process.on('message', async msg => {
+      if (msg.type !== 'add') return;
+      try {
+        const existing = cameras.find(c => c.address.httpPort === msg.port);
+        const cam = existing || await addCamera(opts, msg.port || 0, msg.port ? msg.port + 300 : 0)
+          .catch(() => addCamera(opts, 0, 0));  // requested port taken — fall back to any free port
+        process.send({ type: 'added', id: msg.id, camera: describe(cam) });
+      } catch (err) {
+        process.send({ type: 'error', id: msg.id, error: err.message });
+      }
+    });
+    process.on('disconnect', () => process.exit(0));
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => { console.error('[sim]', err.message); process.exit(1); });
+}
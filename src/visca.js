@@ -0,0 +1,250 @@
+const dgram = require('dgram');
+
+/* ── VISCA-over-IP framing ────────────────────────────────────────────────── */
+// Every datagram carries an 8-byte header: payload type (2), payload length (2), sequence number (4)
+const TYPE = {
+  COMMAND: 0x0100,
+  INQUIRY: 0x0110,
+  REPLY: 0x0111,
+  CONTROL: 0x0200,
+  CONTROL_REPLY: 0x0201
+};
+
+const ERRORS = {
+  0x01: 'Message length error',
+  0x02: 'Syntax error',
+  0x03: 'Command buffer full',
+  0x04: 'Command canceled',
+  0x05: 'No socket',
+  0x41: 'Command not executable'
+};
+
+function packet(type, payload, seq) {
+  const buf = Buffer.alloc(8 + payload.length);
+  buf.writeUInt16BE(type, 0);
+  buf.writeUInt16BE(payload.length, 2);
+  buf.writeUInt32BE(seq >>> 0, 4);
+  payload.copy(buf, 8);
+  return buf;
+}
+
+/**
+ * Classifies a reply datagram.
+ * ACK: 90 4y FF · Completion: 90 5y [data] FF · Error: 90 6y ee FF
+ */
+function parseReply(msg) {
+  if (msg.length < 8) return null;
+  const type = msg.readUInt16BE(0);
+  const len = msg.readUInt16BE(2);
+  const seq = msg.readUInt32BE(4);
+  const payload = msg.subarray(8, 8 + len);
+
+  if (type === TYPE.CONTROL_REPLY) {
+    // 0x01 = reset acknowledged; 0x0F 0x01 / 0x0F 0x02 = bad sequence number / bad message
+    if (payload[0] === 0x0f) return { seq, kind: 'error', error: payload[1] === 0x01 ? 'Abnormal sequence number' : 'Abnormal message' };
+    return { seq, kind: 'completion', data: payload };
+  }
+  if (type !== TYPE.REPLY || payload.length < 3) return null;
+
+  const code = payload[1] & 0xf0;
+  if (code === 0x40) return { seq, kind: 'ack' };
+  if (code === 0x50) return { seq, kind: 'completion', data: payload.subarray(2, payload.length - 1) };
+  if (code === 0x60) return { seq, kind: 'error', error: ERRORS[payload[2]] || `VISCA error 0x${payload[2].toString(16)}` };
+  return null;
+}
+
+/* ── Value encoding ───────────────────────────────────────────────────────── */
+// Positions travel as 4 nibbles (0p 0q 0r 0s); pan/tilt are signed 16-bit
+function toNibbles(value) {
+  const v = value & 0xffff;
+  return [(v >> 12) & 0x0f, (v >> 8) & 0x0f, (v >> 4) & 0x0f, v & 0x0f];
+}
+
+function fromNibbles(bytes) {
+  return Array.from(bytes).reduce((acc, b) => (acc << 4) | (b & 0x0f), 0);
+}
+
+function signed16(v) {
+  return v > 0x7fff ? v - 0x10000 : v;
+}
+
+function clamp(v, lo, hi) {
+  return Math.max(lo, Math.min(hi, Math.round(Number(v) || 0)));
+}
+
+// Pan-tilt drive direction bytes: [pan, tilt] — 01 left/up, 02 right/down, 03 stop
+const DRIVE = {
+  up: [0x03, 0x01], down: [0x03, 0x02], left: [0x01, 0x03], right: [0x02, 0x03],
+  upleft: [0x01, 0x01], upright: [0x02, 0x01], downleft: [0x01, 0x02], downright: [0x02, 0x02],
+  stop: [0x03, 0x03]
+};
+
+/* ── Client ───────────────────────────────────────────────────────────────── */
+/**
+ * VISCA-over-IP client for one camera.
+ * Commands resolve on Completion and reject on Error; datagrams that get no
+ * ACK within `timeout` are retransmitted (same sequence number) up to `retries` times.
+ */
+class ViscaClient {
+  constructor(host, port = 52381, { timeout = 500, retries = 2, completionTimeout = 10000 } = {}) {
+    this.host = host;
+    this.port = port;
+    this.timeout = timeout;
+    this.retries = retries;
+    this.completionTimeout = completionTimeout;
+    this.seq = 0;
+    this.pending = new Map();
+    this.sock = null;
+  }
+
+  _socket() {
+    if (this.sock) return this.sock;
+    this.sock = dgram.createSocket('udp4');
+    this.sock.on('message', msg => this._onMessage(msg));
+    this.sock.on('error', err => this._failAll(err));
+    return this.sock;
+  }
+
+  _send(type, payload) {
+    this.seq = (this.seq + 1) >>> 0;
+    const seq = this.seq;
+    return new Promise((resolve, reject) => {
+      const p = { resolve, reject, buf: packet(type, Buffer.from(payload), seq), attempts: 0, timer: null };
+      this.pending.set(seq, p);
+      this._transmit(seq, p);
+    });
+  }
+
+  _transmit(seq, p) {
+    p.attempts++;
+    this._socket().send(p.buf, this.port, this.host, err => { if (err) this._settle(seq, err); });
+    clearTimeout(p.timer);
+    p.timer = setTimeout(() => {
+      if (p.attempts > this.retries) {
+        this._settle(seq, new Error(`VISCA timeout — no reply from ${this.host}:${this.port}`));
+        return;
+      }
+      this._transmit(seq, p);
+    }, this.timeout);
+  }
+
+  _onMessage(msg) {
+    const r = parseReply(msg);
+    if (!r) return;
+    const p = this.pending.get(r.seq);
+    if (!p) return;
+    if (r.kind === 'ack') {
+      // Acknowledged — stop retransmitting and wait for Completion
+      clearTimeout(p.timer);
+      p.timer = setTimeout(() => this._settle(r.seq, new Error('VISCA completion timed out')), this.completionTimeout);
+      return;
+    }
+    if (r.kind === 'error') {
+      if (r.error === 'Abnormal sequence number') this.seq = 0;
+      this._settle(r.seq, new Error(r.error));
+      return;
+    }
+    this._settle(r.seq, null, r.data);
+  }
+
+  _settle(seq, err, data) {
+    const p = this.pending.get(seq);
+    if (!p) return;
+    clearTimeout(p.timer);
+    this.pending.delete(seq);
+    if (err) p.reject(err); else p.resolve(data);
+  }
+
+  _failAll(err) {
+    for (const seq of [...this.pending.keys()]) this._settle(seq, err);
+  }
+
+  command(bytes) { return this._send(TYPE.COMMAND, bytes); }
+  inquiry(bytes) { return this._send(TYPE.INQUIRY, bytes); }
+
+  async resetSequence() {
+    await this._send(TYPE.CONTROL, [0x01]);
+    this.seq = 0;
+  }
+
+  close() {
+    this._failAll(new Error('VISCA client closed'));
+    if (this.sock) { this.sock.close(); this.sock = null; }
+  }
+
+  /* Pan / tilt — pan speed 1-24, tilt speed 1-20 */
+  panTiltDrive(dir, panSpeed = 8, tiltSpeed = 8) {
+    const d = DRIVE[dir];
+    if (!d) return Promise.reject(new Error(`Unknown direction: ${dir}`));
+    return this.command([0x81, 0x01, 0x06, 0x01, clamp(panSpeed, 1, 0x18), clamp(tiltSpeed, 1, 0x14), ...d, 0xff]);
+  }
+
+  panTiltAbsolute(pan, tilt, panSpeed = 12, tiltSpeed = 12) {
+    return this.command([0x81, 0x01, 0x06, 0x02, clamp(panSpeed, 1, 0x18), clamp(tiltSpeed, 1, 0x14), ...toNibbles(pan), ...toNibbles(tilt), 0xff]);
+  }
+
+  panTiltRelative(pan, tilt, panSpeed = 12, tiltSpeed = 12) {
+    return this.command([0x81, 0x01, 0x06, 0x03, clamp(panSpeed, 1, 0x18), clamp(tiltSpeed, 1, 0x14), ...toNibbles(pan), ...toNibbles(tilt), 0xff]);
+  }
+
+  home() { return this.command([0x81, 0x01, 0x06, 0x04, 0xff]); }
+
+  /* Zoom — dir: tele | wide | stop, speed 0-7; direct position 0-16384 */
+  zoom(dir, speed = 3) {
+    const s = clamp(speed, 0, 7);
+    const b = dir === 'tele' ? 0x20 | s : dir === 'wide' ? 0x30 | s : 0x00;
+    return this.command([0x81, 0x01, 0x04, 0x07, b, 0xff]);
+  }
+
+  zoomDirect(pos) { return this.command([0x81, 0x01, 0x04, 0x47, ...toNibbles(clamp(pos, 0, 16384)), 0xff]); }
+
+  /* Focus — dir: far | near | stop, speed 0-7 */
+  focus(dir, speed = 3) {
+    const s = clamp(speed, 0, 7);
+    const b = dir === 'far' ? 0x20 | s : dir === 'near' ? 0x30 | s : 0x00;
+    return this.command([0x81, 0x01, 0x04, 0x08, b, 0xff]);
+  }
+
+  focusMode(mode) { return this.command([0x81, 0x01, 0x04, 0x38, mode === 'manual' ? 0x03 : 0x02, 0xff]); }
+  focusOnePush() { return this.command([0x81, 0x01, 0x04, 0x18, 0x01, 0xff]); }
+  focusDirect(pos) { return this.command([0x81, 0x01, 0x04, 0x48, ...toNibbles(clamp(pos, 0, 0xffff)), 0xff]); }
+
+  /* Presets — action: set | recall | reset, slot 0-254 */
+  preset(action, slot) {
+    const a = { reset: 0x00, set: 0x01, recall: 0x02 }[action];
+    if (a === undefined) return Promise.reject(new Error(`Unknown preset action: ${action}`));
+    return this.command([0x81, 0x01, 0x04, 0x3f, a, clamp(slot, 0, 254), 0xff]);
+  }
+
+  // Recall speed for subsequent preset calls, 1-24
+  presetSpeed(speed) { return this.command([0x81, 0x01, 0x06, 0x01, clamp(speed, 1, 0x18), 0xff]); }
+
+  /* Inquiries */
+  async panTiltPosition() {
+    const d = await this.inquiry([0x81, 0x09, 0x06, 0x12, 0xff]);
+    return { pan: signed16(fromNibbles(d.subarray(0, 4))), tilt: signed16(fromNibbles(d.subarray(4, 8))) };
+  }
+
+  async zoomPosition() {
+    return fromNibbles((await this.inquiry([0x81, 0x09, 0x04, 0x47, 0xff])).subarray(0, 4));
+  }
+
+  async focusPosition() {
+    return fromNibbles((await this.inquiry([0x81, 0x09, 0x04, 0x48, 0xff])).subarray(0, 4));
+  }
+
+  async position() {
+    const pt = await this.panTiltPosition();
+    const zoom = await this.zoomPosition();
+    const focus = await this.focusPosition();
+    return { ...pt, zoom, focus };
+  }
+}
+
+// Methods reachable over IPC — keeps the renderer from calling internals like _send
+const VISCA_COMMANDS = [
+  'panTiltDrive', 'panTiltAbsolute', 'panTiltRelative', 'home',
+  'zoom', 'zoomDirect', 'focus', 'focusMode', 'focusOnePush', 'focusDirect', 'preset', 'presetSpeed'
+];
+
+module.exports = { ViscaClient, VISCA_COMMANDS, TYPE, packet, parseReply, toNibbles, fromNibbles, signed16 };